@@ -250,6 +250,150 @@ describe('Set', function() {
     });
   });
 
+  describe('ordered sets', function() {
+
+    it('keeps items in first-insertion order', function() {
+      var set = new Set(['b', 10, 'a', 2, 10], undefined, {ordered: true});
+
+      expect(set.items()).toEqual(['b', 10, 'a', 2]);
+      set.remove(10).add(1, 'b');
+      expect(set.items()).toEqual(['b', 'a', 2, 1]);
+      expect(set.map(function(item, freq, key) { return key; }))
+        .toEqual(['b', 'a', '2', '1']);
+    });
+
+    it('provides positional access', function() {
+      var set = new Set([30, 20, 10], undefined, {ordered: true});
+
+      expect(set.at(0)).toEqual(30);
+      expect(set.at(2)).toEqual(10);
+      expect(set.at(-1)).toEqual(10);
+      expect(set.at(3)).toBeUndefined();
+      expect(set.indexOf(20)).toEqual(1);
+      expect(set.indexOf(40)).toEqual(-1);
+      expect(set.first()).toEqual(30);
+      expect(set.last()).toEqual(10);
+    });
+
+    it('keeps positions as items are removed and restored', function() {
+      var set = new Set(['a', 'b', 'c', 'd', 'e'], undefined, {ordered: true});
+
+      set.remove('b', 'd');
+      expect(set.at(1)).toEqual('c');
+      expect(set.indexOf('e')).toEqual(2);
+      set.add('b');
+      expect(set.items()).toEqual(['a', 'c', 'e', 'b']);
+      set.begin().remove('c', 'a', 'e');
+      expect(set.items()).toEqual(['b']);
+      set.rollback();
+      expect(set.items()).toEqual(['a', 'c', 'e', 'b']);
+      expect(set.indexOf('b')).toEqual(3);
+    });
+
+    it('returns operation results in first-insertion order', function() {
+      var set = new Set([5, 'x', 3, 1], undefined, {ordered: true});
+
+      expect(set.union([2, 3, 0])).toEqual([5, 'x', 3, 1, 2, 0]);
+      expect(set.intersection([1, 3, 'x'])).toEqual(['x', 3, 1]);
+      expect(set.complement([3])).toEqual([5, 'x', 1]);
+      expect(set.query().union([2, 0]).toArray()).toEqual([5, 'x', 3, 1, 2, 0]);
+      expect(set.clone().items()).toEqual([5, 'x', 3, 1]);
+    });
+
+    it('keeps order when mutated by an operation', function() {
+      var set = new Set([3, 2, 1], undefined, {ordered: true}).mutable();
+
+      set.union([0]);
+      expect(set.items()).toEqual([3, 2, 1, 0]);
+      set.clear([9, 8]);
+      expect(set.items()).toEqual([9, 8]);
+    });
+
+    it('encodes keys in order', function() {
+      var set = new Set([9, 7, 8], undefined, {ordered: true});
+
+      expect(set.keyify()).toEqual('{9:4,7:4,8:4}');
+    });
+  });
+
+  describe('events', function() {
+
+    function record(set) {
+      var events = [];
+      ['add', 'remove', 'clear', 'change'].forEach(function(type) {
+        set.on(type, function(event) {
+          events.push([event.type, event.added.slice().sort(), event.removed.slice().sort()]);
+        });
+      });
+      return events;
+    }
+
+    it('reports items added and removed', function() {
+      var set = new Set([1, 2]), events = record(set);
+
+      set.add(2, 3, 4).remove(1, 5);
+      expect(events).toEqual([
+        ['add', [3, 4], []], ['change', [3, 4], []],
+        ['remove', [], [1]], ['change', [], [1]]
+      ]);
+    });
+
+    it('does not report calls which change nothing', function() {
+      var set = new Set([1]), events = record(set);
+
+      set.add(1).remove(2).addItems([1]).removeItems([]);
+      expect(events).toEqual([]);
+    });
+
+    it('reports clearing a set with the net change', function() {
+      var set = new Set([1, 2]), events = record(set);
+
+      set.clear([2, 3]);
+      expect(events).toEqual([
+        ['clear', [2, 3], [1, 2]], ['change', [3], [1]]
+      ]);
+    });
+
+    it('reports changes made by operations on a mutable set', function() {
+      var set = new Set([1, 2, 3]).mutable(), events = record(set), target;
+      set.on('change', function(event) { target = this; });
+
+      set.intersection([2, 3, 4]);
+      expect(events).toEqual([['remove', [], [1]], ['change', [], [1]]]);
+      expect(target).toBe(set);
+
+      events.length = 0;
+      set.union([3]);
+      expect(events).toEqual([]);
+
+      set.difference([2, 5]);
+      expect(events).toEqual([
+        ['add', [5], []], ['remove', [], [2]], ['change', [5], [2]]
+      ]);
+    });
+
+    it('reports changes in multiset counts', function() {
+      var bag = new Set([1], undefined, {multiset: true}).mutable(),
+      events = record(bag);
+
+      bag.add(1);
+      bag.sum([1, 2]);
+      expect(events).toEqual([
+        ['add', [1], []], ['change', [1], []],
+        ['add', [1, 2], []], ['change', [1, 2], []]
+      ]);
+    });
+
+    it('can unsubscribe handlers', function() {
+      var set = new Set(), calls = 0, handler = function() { calls++; };
+
+      set.on('add', handler).add(1);
+      set.off('add', handler).add(2);
+      set.on('add', handler).on('add', handler).off('add').add(3);
+      expect(calls).toEqual(1);
+    });
+  });
+
   describe('object key', function() {
 
     it('uses object toString method to implicity generate a key', function() {
@@ -282,6 +426,46 @@ describe('Set', function() {
     });
   });
 
+  describe('structural key', function() {
+
+    it('treats objects with the same contents as the same item', function() {
+      var set = new Set([
+        {a: 1, b: [2]}, {b: [2], a: 1}, {a: 1, b: ['2']}, {a: 1, b: [2, 3]}
+      ], Set.structural);
+
+      expect(set.size()).toEqual(3);
+      expect(set.has({b: [2], a: 1})).toEqual(true);
+      expect(set.has({a: 1})).toEqual(false);
+    });
+
+    it('keys nested structures, dates and primitives by type', function() {
+      var set = new Set([
+        [1, '1'], ['1', 1], {d: new Date(0)}, {d: new Date(0)}, {d: new Date(1)},
+        null, 'null', 0, -0
+      ], Set.structural);
+
+      expect(set.size()).toEqual(7);
+      expect(set.has([1, '1'])).toEqual(true);
+      expect(set.has({d: new Date(1)})).toEqual(true);
+      expect(set.has(undefined)).toEqual(false);
+    });
+
+    it('throws for circular structures', function() {
+      var obj = {}, shared = {};
+      obj.self = obj;
+
+      expect(function() { new Set([obj], Set.structural); }).toThrow();
+      expect(function() { new Set([[shared, shared]], Set.structural); })
+        .not.toThrow();
+    });
+
+    it('can be used with static operations', function() {
+      Set.pushUid(Set.structural);
+      expect(Set.intersection([{id: 1}, {id: 2}], [{id: 2}])).toEqual([{id: 2}]);
+      Set.popUid();
+    });
+  });
+
   describe('iteration', function() {
 
     it('properly iterates over the set', function() {
@@ -309,6 +493,82 @@ describe('Set', function() {
     });
   });
 
+  describe('iteration protocol', function() {
+
+    function iterable(list) {
+      var it = {};
+      it[Symbol.iterator] = function() {
+        var index = 0;
+        return { next: function() {
+          return index < list.length ?
+            { value: list[index++], done: false } : { done: true };
+        }};
+      };
+      return it;
+    }
+
+    function collect(iter) {
+      var out = [], step;
+      while (!(step = iter.next()).done) out.push(step.value);
+      return out;
+    }
+
+    it('iterates over items with the default iterator', function() {
+      var set = new Set([7, 8, 8, 9]);
+
+      expect(Array.from(set).sort()).toEqual([7, 8, 9]);
+      expect(collect(set[Symbol.iterator]()).sort()).toEqual([7, 8, 9]);
+    });
+
+    it('provides keys, values and entries iterators', function() {
+      var set = new Set([o1, o2], key);
+
+      expect(collect(set.keys()).sort()).toEqual(['o1', 'o2']);
+      expect(collect(set.values())).toContain(o1);
+      expect(collect(set.values())).toContain(o2);
+      expect(collect(set.entries())).toContain(['o1', o1]);
+      expect(collect(set.entries())).toContain(['o2', o2]);
+    });
+
+    it('repeats multiset items when iterating values', function() {
+      var bag = new Set([1, 1, 2], undefined, {multiset: true});
+
+      expect(collect(bag.values()).sort()).toEqual([1, 1, 2]);
+      expect(collect(bag.keys()).sort()).toEqual(['1', '2']);
+    });
+
+    it('skips items removed during iteration', function() {
+      var set = new Set(['a', 'b', 'c']), iter = set.values(), seen = [];
+
+      seen.push(iter.next().value);
+      set.remove('a', 'b', 'c');
+      expect(iter.next().done).toEqual(true);
+      expect(seen.length).toEqual(1);
+    });
+
+    it('accepts iterables and array-likes as input', function() {
+      var args = (function() { return arguments; })(1, 2, 2);
+
+      expect(new Set(iterable([1, 2, 2, 3])).size()).toEqual(3);
+      expect(new Set('hello').size()).toEqual(4);
+      expect(new Set(args).size()).toEqual(2);
+      expect(new Set({length: 2, 0: 'x', 1: 'y'}).items()).toEqual(['x', 'y']);
+      expect(new Set(new window.Set([1, 2])).size()).toEqual(2);
+      expect(new Set(new window.Map([['a', 1], ['b', 2]])).items()).toEqual([1, 2]);
+      expect(new Set().addItems(iterable(['a'])).has('a')).toEqual(true);
+      expect(new Set([1, 2]).removeItems(iterable([1])).items()).toEqual([2]);
+    });
+
+    it('accepts iterables in set operations', function() {
+      var set = new Set([1, 2, 3]);
+
+      expect(set.intersection(iterable([2, 3, 4])).sort()).toEqual([2, 3]);
+      expect(set.equals(iterable([3, 2, 1]))).toEqual(true);
+      expect(Set.union(iterable([1]), iterable([2])).sort()).toEqual([1, 2]);
+      expect(Set.unionAll([iterable([1]), 'ab'])).toEqual([1, 'a', 'b']);
+    });
+  });
+
   describe('key', function() {
 
     it('generates a unique key for numbers', function() {
@@ -386,6 +646,63 @@ describe('Set', function() {
     });
   });
   
+  describe('JSON serialization', function() {
+
+    it('round-trips items with their types', function() {
+      var wrap = Set.wrapObj(),
+      set = new Set([wrap(1), wrap('1'), null, true, NaN, new Date(5), /a.b/gi]),
+      copy = Set.fromJSON(JSON.stringify(set)), items = copy.unwrap();
+
+      expect(copy.size()).toEqual(7);
+      expect(copy.has(wrap(1))).toEqual(true);
+      expect(copy.has(wrap('1'))).toEqual(true);
+      expect(items).toContain(1);
+      expect(items).toContain('1');
+      expect(items).toContain(null);
+      expect(items).toContain(true);
+      expect(items.some(function(item) { return item !== item; })).toEqual(true);
+      expect(items.filter(function(item) {
+        return item instanceof Date;
+      })[0].getTime()).toEqual(5);
+      expect(items.filter(function(item) {
+        return item instanceof RegExp;
+      })[0].flags).toEqual('gi');
+    });
+
+    it('does not expose internals', function() {
+      var json = JSON.parse(JSON.stringify(new Set([1, 'a'])));
+
+      expect(json).toEqual({items: [[4, 1], [5, 'a']]});
+    });
+
+    it('round-trips objects, nested sets and options', function() {
+      var bag = new Set([{id: 'x', tags: ['a']}, {id: 'x', tags: ['a']}], key, {multiset: true}),
+      copy = Set.fromJSON(bag.toJSON(), key),
+      nested = new Set([new Set([1, 2]), new Set([3])]),
+      ordered = new Set([3, 1, 2], undefined, {ordered: true});
+
+      expect(copy.count({id: 'x'})).toEqual(2);
+      expect(copy.items()[0]).toEqual({id: 'x', tags: ['a']});
+      expect(Set.fromJSON(JSON.stringify(nested)).equals(nested)).toEqual(true);
+      expect(Set.fromJSON(JSON.stringify(ordered)).items()).toEqual([3, 1, 2]);
+    });
+
+    it('keeps own __proto__ properties', function() {
+      var item = JSON.parse('{"__proto__": 1, "a": 2}'),
+      copy = Set.fromJSON(JSON.stringify(new Set([item], Set.structural)), Set.structural).items()[0];
+
+      expect(Object.keys(copy)).toEqual(['__proto__', 'a']);
+      expect(Object.getOwnPropertyDescriptor(copy, '__proto__').value).toEqual(1);
+      expect(Object.getPrototypeOf(copy)).toBe(Object.prototype);
+    });
+
+    it('throws for items that cannot be serialized', function() {
+      expect(function() {
+        JSON.stringify(new Set([function() {}]));
+      }).toThrow();
+    });
+  });
+
   describe('mixed items', function() {
       var wrap = Set.wrapObj(), isWrapped = Set.isWrapped,
       set1 = new Set([wrap(1), wrap(1), '1', wrap(2), '2', t1, t2]),
@@ -534,6 +851,60 @@ describe('Set', function() {
     });
   });
 
+  describe('set relations', function() {
+    var set = new Set([1, 2, 3]);
+
+    it('can determine subsets and supersets', function() {
+      expect(set.isSubsetOf([1, 2, 3, 4])).toEqual(true);
+      expect(set.isSubsetOf(new Set([1, 2, 3]))).toEqual(true);
+      expect(set.isSubsetOf([1, 2])).toEqual(false);
+      expect(set.isProperSubsetOf([1, 2, 3, 4])).toEqual(true);
+      expect(set.isProperSubsetOf([1, 2, 3])).toEqual(false);
+      expect(set.isSupersetOf([1, 2])).toEqual(true);
+      expect(set.isSupersetOf([1, 4])).toEqual(false);
+    });
+
+    it('can determine disjoint sets', function() {
+      expect(set.isDisjointFrom([4, 5])).toEqual(true);
+      expect(set.isDisjointFrom([3, 4])).toEqual(false);
+      expect(set.isDisjointFrom([])).toEqual(true);
+    });
+
+    it('classifies the relation between two sets', function() {
+      expect(set.relate([3, 2, 1])).toEqual('equal');
+      expect(set.relate([1, 2, 3, 4])).toEqual('subset');
+      expect(set.relate([1, 2])).toEqual('superset');
+      expect(set.relate([3, 4])).toEqual('overlapping');
+      expect(set.relate([4, 5])).toEqual('disjoint');
+      expect(new Set().relate([1])).toEqual('subset');
+    });
+
+    it('considers two empty sets to be equal', function() {
+      expect(new Set().equals(new Set())).toEqual(true);
+      expect(new Set().equals([])).toEqual(true);
+      expect(new Set().relate([])).toEqual('equal');
+      expect(Set.equals([], [])).toEqual(true);
+    });
+
+    it('compares counts for multisets', function() {
+      var bag = new Set([1, 1, 2], undefined, {multiset: true});
+
+      expect(bag.isSubsetOf([1, 1, 2, 3])).toEqual(true);
+      expect(bag.isSubsetOf([1, 2, 3])).toEqual(false);
+      expect(bag.isSupersetOf([1, 2])).toEqual(true);
+      expect(bag.relate([1, 2, 2])).toEqual('overlapping');
+    });
+
+    it('provides static versions of each relation', function() {
+      expect(Set.isSubsetOf([1, 2], [1, 2, 3])).toEqual(true);
+      expect(Set.isSupersetOf([1, 2], [1, 2, 3])).toEqual(false);
+      expect(Set.isProperSubsetOf([1, 2], [2, 1])).toEqual(false);
+      expect(Set.isDisjointFrom([1, 2], [3])).toEqual(true);
+      expect(Set.relate([1, 2], [2, 3])).toEqual('overlapping');
+      expect(Set.relate([1, 2, 3], [2, 3])).toEqual('superset');
+    });
+  });
+
   describe('operations on characters', function() {
     var set1 = new Set(['a', 'b', 'c']),
     set2 = new Set(['b', 'c', 'd']);
@@ -685,6 +1056,1117 @@ describe('Set', function() {
       expect(set2.has(o4)).toEqual(true);
       expect(set2.has(o5)).toEqual(true);
     });
+
+    it('can initialize a clone with new items', function() {
+      var
+      set1 = new Set([o1, o2], key),
+      set2 = set1.clone([{id: 'o3'}]);
+
+      expect(set2.size()).toEqual(1);
+      expect(set2.has(o3)).toEqual(true);
+      expect(set1.size()).toEqual(2);
+    });
+  });
+
+  describe('multisets', function() {
+
+    it('counts occurrences as items are added and removed', function() {
+      var bag = new Set([1, 1, 2], undefined, {multiset: true});
+
+      expect(bag.count(1)).toEqual(2);
+      expect(bag.count(2)).toEqual(1);
+      expect(bag.count(3)).toEqual(0);
+      expect(bag.size()).toEqual(3);
+
+      bag.add(2, 3).remove(1);
+      expect(bag.count(1)).toEqual(1);
+      expect(bag.count(2)).toEqual(2);
+      expect(bag.count(3)).toEqual(1);
+
+      bag.remove(1);
+      expect(bag.has(1)).toEqual(false);
+      expect(bag.items().sort()).toEqual([2, 2, 3]);
+    });
+
+    it('performs operations with multiset semantics', function() {
+      var bag = new Set([1, 1, 1, 2, 2, 3], undefined, {multiset: true}),
+      other = new Set([1, 2, 2, 2, 4], undefined, {multiset: true});
+
+      expect(bag.union(other).sort()).toEqual([1, 1, 1, 2, 2, 2, 3, 4]);
+      expect(bag.intersection(other).sort()).toEqual([1, 2, 2]);
+      expect(bag.complement(other).sort()).toEqual([1, 1, 3]);
+      expect(bag.difference(other).sort()).toEqual([1, 1, 2, 3, 4]);
+      expect(bag.sum([1, 4]).sort()).toEqual([1, 1, 1, 1, 2, 2, 3, 4]);
+    });
+
+    it('compares counts to determine equivalence', function() {
+      var bag = new Set([1, 1, 2], undefined, {multiset: true});
+
+      expect(bag.equals([1, 2, 1])).toEqual(true);
+      expect(bag.equals([1, 2])).toEqual(false);
+      expect(bag.equals(bag.clone())).toEqual(true);
+    });
+
+    it('stores the result of operations when mutable', function() {
+      var bag = new Set([1, 1, 2], undefined, {multiset: true}).mutable();
+
+      bag.sum([1, 2]);
+      expect(bag.count(1)).toEqual(3);
+      expect(bag.count(2)).toEqual(2);
+    });
+  });
+
+  describe('chained operations', function() {
+
+    it('chains operations and returns a set', function() {
+      var a = new Set([1, 2, 3, 4]),
+      result = a.chain().intersection([2, 3, 4, 5]).complement(new Set([3])).toSet();
+
+      expect(result instanceof Set).toEqual(true);
+      expect(result.items().sort()).toEqual([2, 4]);
+      expect(a.size()).toEqual(4);
+    });
+
+    it('carries the hash function into each result', function() {
+      var a = new Set([o1, o2, o3], key),
+      result = a.chain()
+        .union([{id: 'o4'}])
+        .difference([{id: 'o1'}, {id: 'o5'}])
+        .toSet();
+
+      expect(result.size()).toEqual(4);
+      expect(result.has({id: 'o2'})).toEqual(true);
+      expect(result.has({id: 'o1'})).toEqual(false);
+      expect(result.has({id: 'o5'})).toEqual(true);
+    });
+
+    it('does not modify a mutable set', function() {
+      var a = new Set([1, 2, 3]).mutable();
+
+      expect(a.chain().complement([1]).items().sort()).toEqual([2, 3]);
+      expect(a.size()).toEqual(3);
+    });
+
+    it('keeps multiset semantics', function() {
+      var bag = new Set([1, 1], undefined, {multiset: true});
+
+      expect(bag.chain().sum([1, 2]).toSet().count(1)).toEqual(3);
+    });
+  });
+
+  describe('lazy queries', function() {
+
+    it('defers operations until the query is materialized', function() {
+      var a = new Set([1, 2, 3]), calls = 0,
+      query = a.query().union([4, 5]).filter(function(item) {
+        calls++;
+        return item % 2;
+      });
+
+      expect(calls).toEqual(0);
+      expect(query.toArray().sort()).toEqual([1, 3, 5]);
+      expect(query.size()).toEqual(3);
+      expect(calls).toBeGreaterThan(0);
+    });
+
+    it('produces the same results as eager operations', function() {
+      var a = new Set([1, 2, 3, 4, 5]), b = new Set([4, 5, 6]), c = [1, 6, 7];
+
+      expect(a.query().intersection(b).toArray().sort())
+        .toEqual(a.intersection(b).sort());
+      expect(a.query().difference(b).complement(c).toArray().sort())
+        .toEqual(Set.complement(a.difference(b), c).sort());
+      expect(a.query().complement(c).union(c).difference(b).toArray().sort())
+        .toEqual([1, 2, 3, 7]);
+    });
+
+    it('maps items and keys the mapped items', function() {
+      var a = new Set([1, 2, 3, 4]),
+      result = a.query().map(function(item) {
+        return item % 2;
+      }).union([2]).toArray();
+
+      expect(result.sort()).toEqual([0, 1, 2]);
+    });
+
+    it('materializes into a set with the hash function of the source', function() {
+      var a = new Set([o1, o2, o3], key),
+      result = a.query().complement([{id: 'o2'}]).toSet();
+
+      expect(result.size()).toEqual(2);
+      expect(result.has({id: 'o1'})).toEqual(true);
+      expect(result.has({id: 'o2'})).toEqual(false);
+    });
+
+    it('can be iterated and reused', function() {
+      var a = new Set([1, 2, 3]), base = a.query().complement([1]),
+      seen = [];
+
+      base.each(function(item) { seen.push(item); });
+      expect(seen.sort()).toEqual([2, 3]);
+      expect(Array.from(base.union([9])).sort()).toEqual([2, 3, 9]);
+      expect(base.toArray().sort()).toEqual([2, 3]);
+    });
+
+    it('keeps multiset counts', function() {
+      var bag = new Set([1, 1, 2], undefined, {multiset: true}),
+      query = bag.query().union([3, 3, 3]).complement([3]).filter(function(item) {
+        return item !== 2;
+      });
+
+      expect(bag.query().union([3]).toArray().sort()).toEqual(bag.union([3]).sort());
+      expect(query.toArray().sort()).toEqual([1, 1, 3, 3]);
+      expect(query.toSet().count(1)).toEqual(2);
+      expect(bag.query().intersection([1, 2, 2]).toArray().sort()).toEqual([1, 2]);
+    });
+  });
+
+  describe('combinatorics', function() {
+
+    it('produces the power set of a set', function() {
+      var power = new Set([1, 2, 3]).powerSet();
+
+      expect(power.size()).toEqual(8);
+      expect(power.has(new Set())).toEqual(true);
+      expect(power.has(new Set([3, 1]))).toEqual(true);
+      expect(power.has(new Set([1, 2, 3]))).toEqual(true);
+      expect(power.has(new Set([4]))).toEqual(false);
+    });
+
+    it('keeps the hash function in each subset', function() {
+      var power = new Set([o1, o2], key).powerSet();
+
+      expect(power.has(new Set([{id: 'o2'}], key))).toEqual(true);
+      power.each(function(subset) {
+        expect(subset.uid).toBe(key);
+      });
+    });
+
+    it('produces sub-multisets of a multiset', function() {
+      var power = new Set([1, 1], undefined, {multiset: true}).powerSet();
+
+      expect(power.size()).toEqual(3);
+    });
+
+    it('iterates over subsets lazily', function() {
+      var subsets = new Set(['a', 'b']).subsets(), seen = [], step;
+
+      while (!(step = subsets.next()).done) seen.push(step.value.items().sort().join(''));
+      expect(seen.sort()).toEqual(['', 'a', 'ab', 'b']);
+    });
+
+    it('produces the Cartesian product of sets', function() {
+      var product = Set.product([1, 2, 2], new Set(['a', 'b']));
+
+      expect(product.size()).toEqual(4);
+      expect(product.has([1, 'a'])).toEqual(true);
+      expect(product.has([2, 'b'])).toEqual(true);
+      expect(product.has(['a', 1])).toEqual(false);
+      expect(product.has([1, '1'])).toEqual(false);
+      expect(Set.product([1], []).size()).toEqual(0);
+    });
+
+    it('iterates over tuples lazily', function() {
+      var tuples = Set.tuples([1, 2], ['x']), out = [], step;
+
+      while (!(step = tuples.next()).done) out.push(step.value);
+      expect(out).toEqual([[1, 'x'], [2, 'x']]);
+    });
+  });
+
+  describe('transactions', function() {
+
+    it('commits a group of changes', function() {
+      var set = new Set([1, 2, 3]).mutable();
+
+      set.transaction(function(s) {
+        s.add(4).remove(1);
+        s.union([5]);
+      });
+      expect(set.items().sort()).toEqual([2, 3, 4, 5]);
+      expect(set.journal).toBe(null);
+    });
+
+    it('rolls back every change when the action throws', function() {
+      var set = new Set([1, 2, 3]).mutable(), error = new Error('fail');
+
+      expect(function() {
+        set.transaction(function(s) {
+          s.add(4).remove(1);
+          s.intersection([2, 4]);
+          s.clear([9]);
+          throw error;
+        });
+      }).toThrow(error);
+      expect(set.items().sort()).toEqual([1, 2, 3]);
+    });
+
+    it('rolls back explicitly with begin and rollback', function() {
+      var set = new Set([1, 2]);
+
+      set.begin().add(3).remove(1);
+      expect(set.items().sort()).toEqual([2, 3]);
+      set.rollback();
+      expect(set.items().sort()).toEqual([1, 2]);
+      expect(function() { set.commit(); }).toThrow();
+    });
+
+    it('rolls back only the innermost transaction', function() {
+      var set = new Set([1]);
+
+      set.begin().add(2);
+      set.begin().add(3).rollback();
+      expect(set.items().sort()).toEqual([1, 2]);
+      set.begin().add(4).commit();
+      set.rollback();
+      expect(set.items()).toEqual([1]);
+    });
+
+    it('leaves the set unchanged when a hash function throws partway', function() {
+      var set = new Set([{id: 1}], function() {
+        if (this.id === 'bad') throw new Error('bad item');
+        return this.id;
+      });
+
+      expect(function() {
+        set.add({id: 2}, {id: 3}, {id: 'bad'});
+      }).toThrow();
+      expect(set.size()).toEqual(1);
+      expect(set.journal).toBe(null);
+    });
+
+    it('rolls back function items without calling them', function() {
+      var calls = 0, fn = function() { calls++; }, set = new Set([1]), error = new Error('x');
+
+      expect(function() {
+        set.add(fn, Object.create(null));
+      }).toThrow();
+      expect(function() {
+        set.transaction(function() {
+          set.add(fn);
+          throw error;
+        });
+      }).toThrow(error);
+      expect(set.has(fn)).toEqual(false);
+      expect(set.size()).toEqual(1);
+      expect(calls).toEqual(0);
+    });
+
+    it('restores counts and order', function() {
+      var bag = new Set([1, 1, 2], undefined, {multiset: true}),
+      ordered = new Set(['a', 'b', 'c'], undefined, {ordered: true});
+
+      bag.begin().add(1, 3).remove(2, 1, 1, 1).rollback();
+      expect(bag.items().sort()).toEqual([1, 1, 2]);
+
+      ordered.begin().remove('b').add('d', 'b').remove('a').rollback();
+      expect(ordered.items()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('emits a change event when rolled back', function() {
+      var set = new Set([1, 2]), events = [];
+
+      set.on('change', function(event) {
+        events.push([event.added, event.removed]);
+      });
+      set.begin().add(3).remove(1).rollback();
+      expect(events).toEqual([[[3], []], [[], [1]], [[1], [3]]]);
+    });
+  });
+
+  describe('history', function() {
+
+    it('undoes and redoes changes', function() {
+      var set = new Set([1, 2]).history();
+
+      set.add(3);
+      set.remove(1);
+      expect(set.items().sort()).toEqual([2, 3]);
+      set.undo();
+      expect(set.items().sort()).toEqual([1, 2, 3]);
+      set.undo();
+      expect(set.items().sort()).toEqual([1, 2]);
+      expect(set.canUndo()).toEqual(false);
+      set.undo();
+      expect(set.items().sort()).toEqual([1, 2]);
+      set.redo().redo();
+      expect(set.items().sort()).toEqual([2, 3]);
+      expect(set.canRedo()).toEqual(false);
+    });
+
+    it('records operations on a mutable set', function() {
+      var set = new Set([1, 2, 3]).mutable().history();
+
+      set.intersection([2, 3, 4]);
+      set.union([5]);
+      set.clear(['a']);
+      set.undo();
+      expect(set.items().sort()).toEqual([2, 3, 5]);
+      set.undo().undo();
+      expect(set.items().sort()).toEqual([1, 2, 3]);
+    });
+
+    it('restores the order and counts replaced by operations', function() {
+      var ordered = new Set([3, 1, 2], undefined, {ordered: true}).mutable().history(),
+      bag = new Set([1, 1, 2], undefined, {multiset: true}).mutable().history();
+
+      ordered.union([0]);
+      ordered.clear([2, 1]);
+      expect(ordered.items()).toEqual([2, 1]);
+      ordered.undo();
+      expect(ordered.items()).toEqual([3, 1, 2, 0]);
+      ordered.undo();
+      expect(ordered.items()).toEqual([3, 1, 2]);
+      bag.union([1, 1, 1, 3]);
+      expect(bag.count(1)).toEqual(3);
+      bag.undo();
+      expect(bag.items()).toEqual([1, 1, 2]);
+      bag.redo();
+      expect(bag.items().sort()).toEqual([1, 1, 1, 2, 3]);
+    });
+
+    it('undoes and redoes function items without calling them', function() {
+      var calls = 0, fn = function() { calls++; },
+      set = new Set([1]).mutable().history();
+
+      set.add(fn);
+      set.undo();
+      expect(set.has(fn)).toEqual(false);
+      expect(set.size()).toEqual(1);
+      set.redo();
+      expect(set.has(fn)).toEqual(true);
+      set.remove(fn);
+      set.undo();
+      expect(set.has(fn)).toEqual(true);
+      expect(calls).toEqual(0);
+    });
+
+    it('skips calls which change nothing', function() {
+      var set = new Set([1, 2]).mutable().history();
+
+      set.add(1);
+      set.remove(5);
+      set.union([2]);
+      expect(set.canUndo()).toEqual(false);
+    });
+
+    it('records a transaction as one step', function() {
+      var set = new Set([1]).history();
+
+      set.transaction(function(s) {
+        s.add(2).add(3).remove(1);
+      });
+      set.undo();
+      expect(set.items()).toEqual([1]);
+      expect(set.canUndo()).toEqual(false);
+    });
+
+    it('discards the redo steps after a new change', function() {
+      var set = new Set([1]).history();
+
+      set.add(2);
+      set.undo();
+      expect(set.canRedo()).toEqual(true);
+      set.add(3);
+      expect(set.canRedo()).toEqual(false);
+    });
+
+    it('keeps a limited number of steps', function() {
+      var set = new Set().history(2);
+
+      set.add(1);
+      set.add(2);
+      set.add(3);
+      set.undo().undo().undo();
+      expect(set.items()).toEqual([1]);
+      set.history(0);
+      expect(set.canUndo()).toEqual(false);
+      expect(set.canRedo()).toEqual(false);
+    });
+
+    it('restores counts and order', function() {
+      var set = new Set(['a', 'b', 'a'], undefined, {multiset: true, ordered: true}).history();
+
+      set.remove('a', 'a');
+      set.add('c', 'a');
+      set.undo().undo();
+      expect(set.items()).toEqual(['a', 'a', 'b']);
+      set.redo();
+      expect(set.items()).toEqual(['b']);
+    });
+
+    it('emits a change event', function() {
+      var set = new Set([1]).history(), events = [];
+
+      set.add(2);
+      set.on('change', function(event) {
+        events.push([event.added, event.removed]);
+      });
+      set.undo().redo();
+      expect(events).toEqual([[[], [2]], [[2], []]]);
+    });
+
+    it("can't undo during a transaction", function() {
+      var set = new Set([1]).history();
+
+      set.add(2);
+      expect(function() {
+        set.transaction(function(s) { s.undo(); });
+      }).toThrow();
+      expect(set.items().sort()).toEqual([1, 2]);
+    });
+  });
+
+  describe('patches', function() {
+
+    it('computes the patch between two sets', function() {
+      var patch = Set.diff([1, 2, 2, 3], new Set([3, 4]));
+
+      expect(patch.added).toEqual([4]);
+      expect(patch.removed.sort()).toEqual([1, 2]);
+      expect(swiftSet.diff).toBe(Set.diff);
+    });
+
+    it('applies a patch to a set', function() {
+      var a = new Set([o1, o2, o3], key), b = new Set([o2, o3, o4, o5], key),
+      copy = a.clone();
+
+      copy.applyPatch(a.diff(b));
+      expect(copy.equals(b)).toEqual(true);
+      expect(a.size()).toEqual(3);
+    });
+
+    it('applies a patch serialized as JSON', function() {
+      var set = new Set([1, 2]);
+
+      set.applyPatch(JSON.stringify(Set.diff([1, 2], [2, 'x'])));
+      expect(set.items().sort()).toEqual([2, 'x']);
+    });
+
+    it('inverts a patch', function() {
+      var patch = Set.diff([1, 2], [2, 3]), set = new Set([2, 3]);
+
+      expect(Set.invertPatch(patch)).toEqual({added: [1], removed: [3]});
+      set.applyPatch(Set.invertPatch(patch));
+      expect(set.items().sort()).toEqual([1, 2]);
+    });
+
+    it('computes patches between multisets', function() {
+      var a = new Set([1, 1, 2], undefined, {multiset: true}),
+      patch = a.diff([1, 2, 2, 2]);
+
+      expect(patch).toEqual({added: [2, 2], removed: [1]});
+      a.applyPatch(patch);
+      expect(a.items().sort()).toEqual([1, 2, 2, 2]);
+    });
+
+    it('applies a patch as one step', function() {
+      var set = new Set([1, 2]).history();
+
+      set.applyPatch({added: [3, 4], removed: [1]});
+      set.undo();
+      expect(set.items().sort()).toEqual([1, 2]);
+    });
+
+    it('applies a patch to a persistent set', function() {
+      var a = new swiftSet.PersistentSet([1, 2]),
+      b = a.applyPatch({added: [3], removed: [1]});
+
+      expect(b.items().sort()).toEqual([2, 3]);
+      expect(a.items().sort()).toEqual([1, 2]);
+    });
+  });
+
+  describe('custom operations', function() {
+
+    it('defines static and prototype operations', function() {
+      Set.defineOperation('rcomplement', function(freq) {
+        return freq === 2;
+      });
+
+      expect(Set.rcomplement([1, 2], [2, 3])).toEqual([3]);
+      expect(swiftSet.rcomplement).toBe(Set.rcomplement);
+      expect(new Set([o1, o2], key).rcomplement([{id: 'o2'}, o3])).toEqual([o3]);
+    });
+
+    it('honours mutability', function() {
+      var set = new Set([1, 2]).mutable();
+
+      set.rcomplement([2, 3, 4]);
+      expect(set.items().sort()).toEqual([3, 4]);
+    });
+
+    it('adds the operation to chains and queries', function() {
+      var set = new Set([1, 2, 3]);
+
+      expect(set.chain().rcomplement([3, 4]).union([5]).items().sort()).toEqual([4, 5]);
+      expect(set.query().rcomplement([3, 4]).toArray()).toEqual([4]);
+    });
+
+    it('uses the multiset evaluator', function() {
+      Set.defineOperation('excess', function(freq) {
+        return freq === 2;
+      }, { multiset: function(m, n) { return n - m; } });
+
+      expect(new Set([1, 2], undefined, {multiset: true}).excess([1, 1, 1, 3]).sort())
+        .toEqual([1, 1, 3]);
+    });
+
+    it("doesn't replace existing methods", function() {
+      expect(function() {
+        Set.defineOperation('add', function() { return true; });
+      }).toThrow();
+      expect(function() {
+        Set.defineOperation('process', function() { return true; });
+      }).toThrow();
+      expect(function() {
+        Set.defineOperation('hist', function() { return true; });
+      }).toThrow();
+    });
+
+    it("doesn't replace the built-in operations", function() {
+      ['union', 'intersection', 'difference', 'complement', 'sum'].forEach(function(name) {
+        expect(function() {
+          Set.defineOperation(name, function(freq) { return freq !== 2; });
+        }).toThrow();
+      });
+      expect(Set.union([1], [2])).toEqual([1, 2]);
+    });
+
+    it('lets an operation be redefined', function() {
+      Set.defineOperation('onlyB', function(freq) { return freq === 3; });
+      Set.defineOperation('onlyB', function(freq) { return freq === 2; });
+      expect(Set.onlyB([1, 2], [2, 3])).toEqual([3]);
+      expect(new Set([1, 2]).onlyB([2, 3])).toEqual([3]);
+    });
+
+    it("doesn't replace chain or query methods", function() {
+      ['toArray', 'toSet', 'filter', 'append'].forEach(function(name) {
+        expect(function() {
+          Set.defineOperation(name, function() { return true; });
+        }).toThrow();
+      });
+      expect(Array.isArray(new Set([1]).query().toArray())).toEqual(true);
+      expect(new Set([1]).chain().toSet() instanceof Set).toEqual(true);
+    });
+  });
+
+  describe('scoped uid methods', function() {
+    var getId = function() { return this.id; };
+
+    it('takes a key per call', function() {
+      expect(Set.union([o1, o2], [{id: 'o2'}, o3], {key: getId})).toEqual([o1, o2, o3]);
+      expect(Set.process([o1, o2], [{id: 'o2'}], function(freq) {
+        return freq === 3;
+      }, {key: getId})).toEqual([o2]);
+      expect(Set.intersectionAll([[o1, o2], [{id: 'o2'}]], {key: getId})).toEqual([o2]);
+      expect(Set.equals([o1], [{id: 'o1'}], {key: getId})).toEqual(true);
+      expect(Set.diff([o1], [o2], {key: getId})).toEqual({added: [o2], removed: [o1]});
+      // The per-call key leaves the stack alone.
+      expect(Set.union([1], [2]).length).toEqual(2);
+    });
+
+    it('restores the uid method when the callback throws', function() {
+      expect(function() {
+        Set.withUid(getId, function() {
+          Set.pushUid(function() { return 'leaked'; });
+          throw new Error('fail');
+        });
+      }).toThrow();
+      expect(Set.union([1, 2], [2, 3])).toEqual([1, 2, 3]);
+    });
+
+    it('passes operations bound to the uid method', function() {
+      var ops = Set.withUid(getId, function(ops) {
+        expect(Set.intersection([o1, o2], [{id: 'o1'}])).toEqual([o1]);
+        return ops;
+      });
+
+      expect(Set.union([1], [2]).length).toEqual(2);
+      expect(ops.union([o1], [{id: 'o1'}])).toEqual([o1]);
+      expect(ops.processAll([[o1, o2], [{id: 'o2'}]], function(mask, all) {
+        return mask === all;
+      })).toEqual([o2]);
+      expect(ops.relate([o1], [{id: 'o1'}, o2])).toEqual('subset');
+    });
+
+    it('returns the result of the callback', function() {
+      expect(Set.withUid(getId, function(ops) {
+        return ops.complement([o1, o2], [{id: 'o2'}]);
+      })).toEqual([o1]);
+    });
+
+    it('uses the hash function of a set regardless of the stack', function() {
+      var set = new Set([o1, o2], getId);
+
+      Set.pushUid(function() { throw new Error('wrong key'); });
+      try {
+        expect(set.union([{id: 'o2'}, o3]).length).toEqual(3);
+      } finally {
+        Set.popUid();
+      }
+    });
+  });
+
+  describe('operations between sets', function() {
+
+    it('keeps the size without building the items', function() {
+      var set = new Set([1, 2, 2, 3], undefined, {multiset: true});
+
+      spyOn(set, 'items').and.callThrough();
+      set.add(4).remove(1, 2);
+      expect(set.size()).toEqual(3);
+      set.clear([5]);
+      expect(set.size()).toEqual(1);
+      expect(set.items).not.toHaveBeenCalled();
+    });
+
+    it('reads the histograms of sets with the same hash function', function() {
+      var a = new Set([o1, o2, o3], key), b = new Set([o2, o3, o4], key);
+
+      spyOn(a, 'items').and.callThrough();
+      spyOn(b, 'items').and.callThrough();
+      expect(a.union(b)).toEqual([o1, o2, o3, o4]);
+      expect(a.intersection(b).sort()).toEqual([o2, o3]);
+      expect(a.difference(b)).toEqual([o1, o4]);
+      expect(a.complement(b)).toEqual([o1]);
+      expect(a.isSubsetOf(b)).toEqual(false);
+      expect(a.relate(b)).toEqual('overlapping');
+      expect(a.items).not.toHaveBeenCalled();
+      expect(b.items).not.toHaveBeenCalled();
+    });
+
+    it('keeps the items of the set in an intersection', function() {
+      var a = new Set([o1, o2, o3], key), b = new Set([{id: 'o2'}], key);
+
+      expect(a.intersection(b)[0]).toBe(o2);
+    });
+
+    it('keeps the order of ordered sets', function() {
+      var a = new Set([5, 4, 3, 2, 1], undefined, {ordered: true}), b = new Set([1, 3]);
+
+      expect(a.intersection(b)).toEqual([3, 1]);
+      expect(a.union(new Set([0, 9]))).toEqual([5, 4, 3, 2, 1, 0, 9]);
+    });
+
+    it('combines the counts of multisets', function() {
+      var a = new Set([1, 1, 2], undefined, {multiset: true}),
+      b = new Set([1, 2, 2, 3], undefined, {multiset: true});
+
+      expect(a.union(b).sort()).toEqual([1, 1, 2, 2, 3]);
+      expect(a.intersection(b).sort()).toEqual([1, 2]);
+      expect(a.complement(b)).toEqual([1]);
+      expect(a.sum(b).length).toEqual(7);
+    });
+  });
+
+  describe('bulk loading', function() {
+
+    it('loads arrays past the argument limit', function() {
+      var items = [], set;
+      for (var i = 0; i < 500000; i++) items.push(i);
+
+      set = new Set(items);
+      expect(set.size()).toEqual(500000);
+      set.addItems(items.map(function(n) { return -n - 1; }));
+      expect(set.size()).toEqual(1000000);
+      set.removeItems(items);
+      expect(set.size()).toEqual(500000);
+      expect(set.has(-500000)).toEqual(true);
+      expect(set.has(1)).toEqual(false);
+    });
+
+    it('loads typed arrays', function() {
+      if (typeof Uint8Array === 'undefined') return;
+      var set = new Set(new Uint8Array([1, 2, 2, 3]));
+
+      expect(set.items().sort()).toEqual([1, 2, 3]);
+      set.removeItems(new Float64Array([1, 2.5]));
+      expect(set.items().sort()).toEqual([2, 3]);
+      expect(Set.union(new Int16Array([-1, 1]), [1, 2])).toEqual([-1, 1, 2]);
+    });
+
+    it('emits one event for a bulk load', function() {
+      var set = new Set([1]), events = 0;
+
+      set.on('add', function(event) {
+        events++;
+        expect(event.added).toEqual([2, 3]);
+      });
+      set.addItems([1, 2, 3]);
+      expect(events).toEqual(1);
+    });
+  });
+
+  describe('falsy and special values', function() {
+
+    it('keeps falsy values as members', function() {
+      var set = new Set([0, '', false]);
+
+      expect(set.has(0)).toEqual(true);
+      expect(set.has('')).toEqual(true);
+      expect(set.has(false)).toEqual(true);
+      expect(set.has(null)).toEqual(false);
+      expect(set.size()).toEqual(3);
+    });
+
+    it("doesn't collide special values with strings", function() {
+      var set = new Set([null, undefined, NaN, true, false, '\u0000null']);
+
+      expect(set.size()).toEqual(6);
+      expect(set.has('null')).toEqual(false);
+      expect(set.has('undefined')).toEqual(false);
+      expect(set.has('NaN')).toEqual(false);
+      expect(set.has('true')).toEqual(false);
+      set.addItems(['null', 'undefined', 'NaN', 'true', 'false']);
+      expect(set.size()).toEqual(11);
+      expect(set.has('\u0000null')).toEqual(true);
+    });
+
+    it('follows SameValueZero', function() {
+      var set = new Set([NaN, NaN, -0, 0]);
+
+      expect(set.size()).toEqual(2);
+      expect(set.has(NaN)).toEqual(true);
+      expect(set.has(0)).toEqual(true);
+      expect(set.has(-0)).toEqual(true);
+      expect(1 / new Set([-0]).items()[0]).toEqual(Infinity);
+    });
+
+    it('applies the same rules to static operations', function() {
+      expect(Set.union([null, 0, NaN], ['null', '', NaN, -0]).length).toEqual(5);
+      expect(Set.intersection([undefined, false], ['undefined', false])).toEqual([false]);
+      expect(Set.equals([NaN, null], [null, NaN])).toEqual(true);
+    });
+
+    it('exposes escaped keys in the documented form', function() {
+      if (typeof Map === 'undefined') return;
+      var set = new Set([1, '1', null, '\u0000x']);
+
+      expect(Array.from(set.keys())).toEqual(['1', '\u0000"1', '\u0000null', '\u0000\u0000x']);
+      expect(set.toMap().get('\u0000"1')).toEqual('1');
+    });
+
+    it('keeps numbers and numeric strings apart', function() {
+      var set = new Set([1, '1', -2, '-2', Infinity, 'Infinity', 1.5, '1.5', '01']);
+
+      expect(set.size()).toEqual(9);
+      expect(set.has('1')).toEqual(true);
+      expect(set.count(1)).toEqual(1);
+      expect(Set.union([1], ['1'])).toEqual([1, '1']);
+      expect(Set.intersection([1, 2], ['1', 2])).toEqual([2]);
+    });
+  });
+
+  describe('type encoders', function() {
+
+    it('keys symbols by identity', function() {
+      if (typeof Symbol === 'undefined') return;
+      var a = Symbol('a'), b = Symbol('a');
+
+      expect(new Set([a, b, a]).size()).toEqual(2);
+      expect(new Set([a]).has(b)).toEqual(false);
+      expect(new Set([Symbol['for']('x'), Symbol['for']('x')]).size()).toEqual(1);
+      expect(Set.union([a], [b, a]).length).toEqual(2);
+    });
+
+    it('keys BigInts by value', function() {
+      if (typeof BigInt === 'undefined') return;
+
+      expect(new Set([BigInt(10), BigInt(10), BigInt(11)]).size()).toEqual(2);
+      expect(new Set([BigInt(10)], Set.structural).has(BigInt(10))).toEqual(true);
+    });
+
+    it('keys maps, native sets and typed arrays by their contents', function() {
+      if (typeof Map === 'undefined') return;
+      var NativeSet = Function('return this')().Set,
+        set = new Set([
+          new Map([[1, {a: 1}], [2, 'b']]),
+          new Map([[2, 'b'], [1, {a: 1}]]),
+          new Map([[1, {a: 2}]]),
+          new Uint8Array([1, 2]),
+          new Uint8Array([1, 2]),
+          new Int8Array([1, 2])
+        ], Set.structural);
+
+      expect(set.size()).toEqual(4);
+      expect(new Set([new NativeSet([1, 2]), new NativeSet([2, 1])], Set.structural).size()).toEqual(1);
+    });
+
+    it('keys class instances by class and properties', function() {
+      function Point(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+      function Pair(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+
+      expect(new Set([new Point(1, 2), new Point(1, 2), new Pair(1, 2), {x: 1, y: 2}],
+        Set.structural).size()).toEqual(3);
+    });
+
+    it('gives wrapped items the key of their type', function() {
+      if (typeof Map === 'undefined') return;
+      var wrap = Set.wrapObj();
+
+      expect(new Set([wrap(new Map([[1, 2]])), wrap(new Map([[1, 2]]))]).size()).toEqual(1);
+      expect(new Set([wrap(new Date(5)), wrap(new Date(5))]).size()).toEqual(1);
+    });
+
+    it('registers custom encoders', function() {
+      function Point(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+      Set.registerType('Point', {
+        test: function(obj) { return obj instanceof Point; },
+        key: function(point) { return String(point.x); }
+      });
+
+      expect(new Set([new Point(1, 2), new Point(1, 3)], Set.structural).size()).toEqual(1);
+      expect(new Set([[new Point(1, 2)], [new Point(1, 3)]], Set.structural).size()).toEqual(1);
+      Set.registerType('Point', {
+        test: function(obj) { return obj instanceof Point; },
+        key: function(point, keyOf) { return keyOf([point.x, point.y]); }
+      });
+      expect(new Set([new Point(1, 2), new Point(1, 3)], Set.structural).size()).toEqual(2);
+    });
+  });
+
+  describe('identity keys', function() {
+
+    function Component(name) {
+      this.name = name;
+    }
+
+    var a = new Component('a'), b = new Component('a'), c = new Component('c');
+
+    it('keys objects by reference', function() {
+      var set = new Set([a, b, a, c], null, {identity: true});
+
+      expect(set.size()).toEqual(3);
+      expect(set.has(b)).toEqual(true);
+      expect(set.has(new Component('a'))).toEqual(false);
+      expect(new Set([a, b], Set.referential).size()).toEqual(2);
+    });
+
+    it('keys primitives by value', function() {
+      var set = new Set([1, 1, 'a', null, undefined, a], Set.referential);
+
+      expect(set.size()).toEqual(5);
+      expect(set.has('a')).toEqual(true);
+    });
+
+    it('supports set operations', function() {
+      var x = new Set([a, b], Set.referential),
+        y = new Set([b, c], null, {identity: true});
+
+      expect(x.union(y).length).toEqual(3);
+      expect(x.intersection(y)).toEqual([b]);
+      expect(x.difference(y).length).toEqual(2);
+      expect(x.complement(y)[0]).toBe(a);
+      expect(x.equals([b, a])).toEqual(true);
+      expect(x.equals([b, new Component('a')])).toEqual(false);
+      expect(x.clone().has(a)).toEqual(true);
+    });
+
+    it('keeps the option when serialized', function() {
+      var set = new Set([{a: 1}, {a: 1}], null, {identity: true}),
+      copy = Set.fromJSON(JSON.stringify(set));
+
+      expect(set.toJSON().identity).toEqual(true);
+      expect(new Set([{a: 1}], Set.referential).toJSON().identity).toEqual(true);
+      expect(copy.size()).toEqual(2);
+      expect(copy.uid).toBe(Set.referential);
+    });
+
+    it('supports static operations', function() {
+      var options = {key: Set.referential};
+
+      expect(Set.union([a, b], [a, c], options).length).toEqual(3);
+      expect(Set.intersection([a, b], [a, c], options)[0]).toBe(a);
+      expect(Set.difference([a, b], [a, c], options).length).toEqual(2);
+      expect(Set.complement([a, b], [a, c], options)[0]).toBe(b);
+      expect(Set.equals([a, b], [b, a], options)).toEqual(true);
+      expect(Set.withUid(Set.referential, function(ops) {
+        return ops.union([a], [new Component('a')]).length;
+      })).toEqual(2);
+    });
+  });
+
+  describe('typed sets', function() {
+
+    it('keeps items of different types apart', function() {
+      var set = new Set([1, '1', true, 'true', null, 'null', NaN, NaN, -0], null, {typed: true});
+
+      expect(set.size()).toEqual(8);
+      expect(set.has('1')).toEqual(true);
+      expect(set.has(0)).toEqual(true);
+      expect(set.has('0')).toEqual(false);
+      expect(set.items().slice(0, 6)).toEqual([1, '1', true, 'true', null, 'null']);
+    });
+
+    it('combines a hash function with the type of the item', function() {
+      var set = new Set([1, '1', 'a'], function() {
+        return String(this).toLowerCase();
+      }, {typed: true});
+
+      expect(set.size()).toEqual(3);
+      expect(set.has('A')).toEqual(true);
+    });
+
+    it('returns unwrapped items from operations', function() {
+      var a = new Set([1, '1', 2], null, {typed: true}),
+        b = new Set(['1', '2'], null, {typed: true});
+
+      expect(a.intersection(b)).toEqual(['1']);
+      expect(a.union(b)).toEqual([1, '1', 2, '2']);
+      expect(a.complement(['1'])).toEqual([1, 2]);
+      expect(a.equals([2, '1', 1])).toEqual(true);
+      expect(a.equals([2, '1', '1'])).toEqual(false);
+    });
+
+    it('supports static operations', function() {
+      expect(Set.union([1, 2], ['1'], {typed: true})).toEqual([1, 2, '1']);
+      expect(Set.intersection([1, '1'], ['1'], {typed: true})).toEqual(['1']);
+      expect(Set.equals([1], ['1'], {typed: true})).toEqual(false);
+    });
+
+    it('shares key methods between sets with the same hash function', function() {
+      var getId = function() { return this.id; };
+
+      expect(new Set([1], null, {typed: true}).uid).toBe(new Set([2], null, {typed: true}).uid);
+      expect(new Set([], getId, {typed: true}).uid).toBe(new Set([], getId, {typed: true}).uid);
+      expect(new Set([], getId, {typed: true}).uid).not.toBe(new Set([], null, {typed: true}).uid);
+    });
+
+    it('keeps the option when cloned or serialized', function() {
+      var set = new Set([1, '1'], null, {typed: true});
+
+      expect(set.clone().size()).toEqual(2);
+      expect(set.toJSON().typed).toEqual(true);
+      expect(Set.fromJSON(JSON.stringify(set)).has('1')).toEqual(true);
+      expect(Set.fromJSON(JSON.stringify(set)).size()).toEqual(2);
+    });
+  });
+
+  describe('native sets and maps', function() {
+
+    var NativeSet = Function('return this')().Set;
+
+    it('creates sets from native sets and maps', function() {
+      if (typeof Map === 'undefined') return;
+      var set = Set.fromNative(new NativeSet([{id: 1}, {id: 2}]), key);
+
+      expect(set.size()).toEqual(2);
+      expect(set.has({id: 1})).toEqual(true);
+      expect(Set.fromNative(new Map([['a', 1], ['b', 1]])).items()).toEqual([1]);
+      expect(Set.fromNative(new NativeSet([1, 1]), null, {multiset: true}).count(1)).toEqual(1);
+    });
+
+    it('converts sets to native sets and maps', function() {
+      if (typeof Map === 'undefined') return;
+      var o1 = {id: 'a'}, o2 = {id: 'b'},
+        set = new Set([o1, o2, o1], key, {multiset: true}),
+        native = set.toNative(),
+        map = set.toMap();
+
+      expect(native instanceof NativeSet).toEqual(true);
+      expect(native.size).toEqual(2);
+      expect(native.has(o1)).toEqual(true);
+      expect(map instanceof Map).toEqual(true);
+      expect(map.size).toEqual(2);
+      expect(map.get('b')).toBe(o2);
+    });
+
+    it('accepts native sets and maps as operands', function() {
+      if (typeof Map === 'undefined') return;
+      var set = new Set([1, 2, 3]), native = new NativeSet([2, 3, 4]);
+
+      expect(set.union(native)).toEqual([1, 2, 3, 4]);
+      expect(set.intersection(native)).toEqual([2, 3]);
+      expect(set.difference(native)).toEqual([1, 4]);
+      expect(set.complement(native)).toEqual([1]);
+      expect(set.equals(new NativeSet([3, 2, 1]))).toEqual(true);
+      expect(set.isSubsetOf(new Map([['a', 1], ['b', 2], ['c', 3], ['d', 4]]))).toEqual(true);
+      expect(set.relate(native)).toEqual('overlapping');
+      expect(set.query().intersection(native).toArray()).toEqual([2, 3]);
+      expect(Set.union(native, new Map([['a', 5]]))).toEqual([2, 3, 4, 5]);
+    });
+  });
+
+  describe('persistent sets', function() {
+    var PersistentSet = swiftSet.PersistentSet;
+
+    it('returns new sets from add and remove', function() {
+      var a = new PersistentSet([1, 2, 3]), b = a.add(4, 5), c = b.remove(1);
+
+      expect(a.items().sort()).toEqual([1, 2, 3]);
+      expect(b.items().sort()).toEqual([1, 2, 3, 4, 5]);
+      expect(c.items().sort()).toEqual([2, 3, 4, 5]);
+      expect(c.size()).toEqual(4);
+      expect(c.has(1)).toEqual(false);
+      expect(b.has(1)).toEqual(true);
+    });
+
+    it('returns the same set when nothing changes', function() {
+      var a = new PersistentSet([1, 2]);
+
+      expect(a.add(1)).toBe(a);
+      expect(a.remove(3)).toBe(a);
+      expect(a.union([2])).toBe(a);
+    });
+
+    it('shares structure with the original set', function() {
+      var items = [], a, b;
+      for (var i = 0; i < 1000; i++) items.push(i);
+      a = new PersistentSet(items);
+      b = a.add(1000);
+
+      expect(b.root.slots.filter(function(slot, index) {
+        return slot === a.root.slots[index];
+      }).length).toEqual(a.root.slots.length - 1);
+    });
+
+    it('keeps items whose hashes collide', function() {
+      // These keys have the same 32-bit hash.
+      var a = new PersistentSet(['k32728', 'k261234', 'x']);
+
+      expect(a.has('k32728')).toEqual(true);
+      expect(a.has('k261234')).toEqual(true);
+      expect(a.remove('k32728').items().sort()).toEqual(['k261234', 'x']);
+      expect(a.remove('k261234').has('k32728')).toEqual(true);
+    });
+
+    it('keys items with the hash function', function() {
+      var a = new PersistentSet([o1, o2], key);
+
+      expect(a.has({id: 'o1'})).toEqual(true);
+      expect(a.add({id: 'o2'}).size()).toEqual(2);
+      expect(a.toSet().uid).toBe(key);
+    });
+
+    it('performs set operations', function() {
+      var a = new PersistentSet([1, 2, 3]);
+
+      expect(a.union(new PersistentSet([3, 4])).items().sort()).toEqual([1, 2, 3, 4]);
+      expect(a.intersection([2, 3, 4]).items().sort()).toEqual([2, 3]);
+      expect(a.difference(new Set([2, 3, 4])).items().sort()).toEqual([1, 4]);
+      expect(a.complement([2, 3, 4]).items()).toEqual([1]);
+      expect(a.equals([3, 2, 1, 1])).toEqual(true);
+      expect(a.equals([1, 2])).toEqual(false);
+      expect(a.clear().size()).toEqual(0);
+    });
+
+    it('converts to and from a Set', function() {
+      var a = new Set([1, 2, 2], undefined, {multiset: true}).toPersistent();
+
+      expect(a.size()).toEqual(2);
+      expect(a.toSet().items().sort()).toEqual([1, 2]);
+      expect(Set.union([1], a.add(3)).sort()).toEqual([1, 2, 3]);
+    });
   });
 
   describe('static set operations on numbers', function() {
@@ -727,6 +2209,64 @@ describe('Set', function() {
     });
   });
 
+  describe('exports', function() {
+
+    it('exports static operations and helpers with the Set class', function() {
+      expect(swiftSet.union).toBe(Set.union);
+      expect(swiftSet.intersectionAll).toBe(Set.intersectionAll);
+      expect(swiftSet.pushUid).toBe(Set.pushUid);
+      expect(swiftSet.wrapObj).toBe(Set.wrapObj);
+      expect(swiftSet.isWrapped).toBe(Set.isWrapped);
+      expect(swiftSet.PersistentSet).toEqual(jasmine.any(Function));
+    });
+  });
+
+  describe('static n-ary set operations', function() {
+
+    it('can perform a union of any number of sets', function() {
+      var union = Set.unionAll([[1, 2], new Set([2, 3]), [3, 4, 4]]);
+
+      expect(union.sort()).toEqual([1, 2, 3, 4]);
+      expect(Set.unionAll([])).toEqual([]);
+    });
+
+    it('can perform an intersection of any number of sets', function() {
+      var lists = [[1, 2, 3, 4], [2, 3, 4], new Set([3, 4, 5]), [4, 3]];
+
+      expect(Set.intersectionAll(lists).sort()).toEqual([3, 4]);
+      expect(Set.intersectionAll([[1, 2], [3], [1, 2, 3]])).toEqual([]);
+      expect(Set.intersectionAll([[1, 1, 2]])).toEqual([1, 2]);
+      expect(Set.intersectionAll([])).toEqual([]);
+    });
+
+    it('passes a membership mask to the evaluator', function() {
+      var onlyFirst = Set.processAll([[1, 2, 3], [2], [3]], function(mask) {
+        return mask === 1;
+      }),
+      inAll = Set.processAll([[1, 2], [2, 3], [2]], function(mask, all) {
+        return mask === all;
+      }),
+      hist = Set.processAll([[1, 2], [2, 3], [3]]);
+
+      expect(onlyFirst).toEqual([1]);
+      expect(inAll).toEqual([2]);
+      expect(hist[1].freq).toEqual(1);
+      expect(hist[2].freq).toEqual(3);
+      expect(hist[3].freq).toEqual(6);
+    });
+
+    it('supports up to 32 inputs', function() {
+      var inputs = [], i;
+      for (i = 0; i < 32; i++) inputs.push([i, 'all']);
+
+      expect(Set.processAll(inputs, function(mask, all) {
+        return mask === all;
+      })).toEqual(['all']);
+      inputs.push([]);
+      expect(function() { Set.processAll(inputs); }).toThrow();
+    });
+  });
+
   describe('static set operations on objects', function() {
 
     beforeEach(function() {
@@ -7,37 +7,215 @@ declare namespace swiftSet {
     interface Set {
         mutable(): Set;
         toString(): string;
+        toJSON(): SetJSON;
         wrapObj(getId: (v: any)=>number): (v: any)=>number;
         isWrapped: (v: any)=>boolean;
         unwrap(): any[];
         add(a: any[]): Set;
-        addItems(...args: any[]): Set;
+        addItems(a: Input): Set;
         remove(a: any[]): Set;
-        removeItems(...args: any[]): Set;
+        removeItems(a: Input): Set;
         size(): number;
         has(value: any): boolean;
+        count(value: any): number;
+        at(index: number): any;
+        indexOf(value: any): number;
+        first(): any;
+        last(): any;
         items(): any[];
-        each(item: (v: any)=>void): void;
+        each(item: (v: any, count: number, key: string)=>any): Set;
+        keys(): IterableIterator<string>;
+        values(): IterableIterator<any>;
+        entries(): IterableIterator<[string, any]>;
+        [Symbol.iterator](): IterableIterator<any>;
         copy(): Set;
-        clear(newvalues: any[]): Set;
-        union(other: Set): Set;
-        union(other: any[]): Set;
-        intersection(other: Set): Set;
-        intersection(other: any[]): Set;
-        difference(other: Set): Set;
-        difference(other: any[]): Set;
-        complement(other: Set): Set;
-        complement(other: any[]): Set;
-        equals(other: Set): boolean;
-        equals(other: any[]): boolean;        
-    }
-
-    function Set(a: any[], key?: any): Set;
+        clone(a?: Iterable<any> | ArrayLike<any>): Set;
+        chain(): Chain;
+        on(type: EventType, handler: (this: Set, event: SetEvent)=>void): Set;
+        off(type: EventType, handler?: (this: Set, event: SetEvent)=>void): Set;
+        query(): Query;
+        begin(): Set;
+        commit(): Set;
+        rollback(): Set;
+        transaction(action: (set: Set)=>void, context?: any): Set;
+        history(depth?: number): Set;
+        undo(): Set;
+        redo(): Set;
+        canUndo(): boolean;
+        canRedo(): boolean;
+        toPersistent(): PersistentSet;
+        toNative(): globalThis.Set<any>;
+        toMap(): Map<string, any>;
+        powerSet(): Set;
+        subsets(): IterableIterator<Set>;
+        clear(newvalues?: Input): Set;
+        union(other: Input): Set;
+        intersection(other: Input): Set;
+        difference(other: Input): Set;
+        complement(other: Input): Set;
+        sum(other: Input): any[];
+        equals(other: Input): boolean;
+        isSubsetOf(other: Input): boolean;
+        isSupersetOf(other: Input): boolean;
+        isProperSubsetOf(other: Input): boolean;
+        isDisjointFrom(other: Input): boolean;
+        relate(other: Input): Relation;
+        diff(other: Input): Patch;
+        applyPatch(patch: Patch | string): Set;
+    }
+
+    interface Chain {
+        union(other: Input): Chain;
+        intersection(other: Input): Chain;
+        difference(other: Input): Chain;
+        complement(other: Input): Chain;
+        sum(other: Input): Chain;
+        toSet(): Set;
+        items(): any[];
+    }
+
+    interface Query {
+        union(other: Input): Query;
+        intersection(other: Input): Query;
+        difference(other: Input): Query;
+        complement(other: Input): Query;
+        sum(other: Input): Query;
+        filter(action: (v: any)=>boolean, context?: any): Query;
+        map(action: (v: any)=>any, context?: any): Query;
+        toArray(): any[];
+        toSet(): Set;
+        size(): number;
+        each(action: (v: any)=>any, context?: any): Query;
+        [Symbol.iterator](): IterableIterator<any>;
+    }
+
+    class PersistentSet {
+        constructor(a?: Iterable<any> | ArrayLike<any>, key?: any);
+        has(value: any): boolean;
+        size(): number;
+        add(...args: any[]): PersistentSet;
+        remove(...args: any[]): PersistentSet;
+        addItems(a: Input): PersistentSet;
+        removeItems(a: Input): PersistentSet;
+        clear(): PersistentSet;
+        union(other: Input): PersistentSet;
+        intersection(other: Input): PersistentSet;
+        difference(other: Input): PersistentSet;
+        complement(other: Input): PersistentSet;
+        equals(other: Input): boolean;
+        each(action: (v: any)=>any, context?: any): PersistentSet;
+        items(): any[];
+        applyPatch(patch: Patch | string): PersistentSet;
+        toSet(options?: SetOptions): Set;
+        [Symbol.iterator](): IterableIterator<any>;
+    }
+
+    // The items of an operation: an array, a Set or any other iterable
+    // or array-like object, such as a native Set or Map, a string, a
+    // typed array or arguments.
+    type Input = Set | PersistentSet | Iterable<any> | ArrayLike<any>;
+
+    interface CallOptions {
+        key?: (this: any)=>any;
+        typed?: boolean;
+    }
+
+    interface ScopedOperations {
+        [name: string]: (...args: any[])=>any;
+        union(a: Input, b: Input): any[];
+        intersection(a: Input, b: Input): any[];
+        difference(a: Input, b: Input): any[];
+        complement(a: Input, b: Input): any[];
+        sum(a: Input, b: Input): any[];
+        process(a: Input, b: Input, evaluator?: (freq: number)=>boolean): any;
+        processAll(inputs: Input[], evaluator?: (mask: number, all: number)=>boolean): any;
+        processBag(a: Input, b: Input, evaluator?: (m: number, n: number)=>number): any;
+        unionAll(inputs: Input[]): any[];
+        intersectionAll(inputs: Input[]): any[];
+        equals(a: Input, b: Input): boolean;
+        isSubsetOf(a: Input, b: Input): boolean;
+        isSupersetOf(a: Input, b: Input): boolean;
+        isProperSubsetOf(a: Input, b: Input): boolean;
+        isDisjointFrom(a: Input, b: Input): boolean;
+        relate(a: Input, b: Input): Relation;
+        diff(a: Input, b: Input): Patch;
+    }
+
+    interface OperationOptions {
+        multiset?: (m: number, n: number)=>number;
+    }
+
+    interface Patch {
+        added: any[];
+        removed: any[];
+    }
+
+    interface TypeEncoder {
+        test: (v: any)=>boolean;
+        key: (v: any, keyOf: (nested: any)=>string)=>string;
+    }
+
+    interface SetJSON {
+        items: any[];
+        multiset?: boolean;
+        ordered?: boolean;
+        typed?: boolean;
+        identity?: boolean;
+    }
+
+    interface FromJSONOptions extends SetOptions {
+        wrap?: (v: any)=>any;
+    }
+
+    type EventType = 'add' | 'remove' | 'clear' | 'change';
+
+    interface SetEvent {
+        type: EventType;
+        target: Set;
+        added: any[];
+        removed: any[];
+    }
+
+    type Relation = 'equal' | 'subset' | 'superset' | 'overlapping' | 'disjoint';
+
+    interface SetOptions {
+        multiset?: boolean;
+        ordered?: boolean;
+        identity?: boolean;
+        typed?: boolean;
+    }
+
+    function Set(a?: Iterable<any> | ArrayLike<any>, key?: any, options?: SetOptions): Set;
     function pushUid(fn: ()=>number): void;
     function popUid(): void;
-    function union(a: any[], b: any[]): any[];
-    function intersection(a: any[], b: any[]): any[];
-    function difference(a: any[], b: any[]): any[];
-    function complement(a: any[], b: any[]): any[];
+    function withUid<T>(fn: (this: any)=>any, callback: (ops: ScopedOperations)=>T): T;
+    function union(a: Input, b: Input, options?: CallOptions): any[];
+    function intersection(a: Input, b: Input, options?: CallOptions): any[];
+    function difference(a: Input, b: Input, options?: CallOptions): any[];
+    function complement(a: Input, b: Input, options?: CallOptions): any[];
+    function sum(a: Input, b: Input, options?: CallOptions): any[];
+    function defineOperation(name: string, evaluator: (freq: number)=>boolean, options?: OperationOptions): typeof Set;
+    function process(a: Input, b: Input, evaluator?: (freq: number)=>boolean, options?: CallOptions): any;
+    function processAll(inputs: Input[], evaluator?: (mask: number, all: number)=>boolean, options?: CallOptions): any;
+    function unionAll(inputs: Input[], options?: CallOptions): any[];
+    function intersectionAll(inputs: Input[], options?: CallOptions): any[];
+    function product(...inputs: Input[]): Set;
+    function diff(a: Input, b: Input, options?: CallOptions): Patch;
+    function invertPatch(patch: Patch): Patch;
+    function fromJSON(json: string | SetJSON, key?: any, options?: FromJSONOptions): Set;
+    function fromNative(native: Input, key?: any, options?: SetOptions): Set;
+    function tuples(...inputs: Input[]): IterableIterator<any[]>;
+    function processBag(a: Input, b: Input, evaluator?: (m: number, n: number)=>number, options?: CallOptions): any;
+    function equals(a: Input, b: Input, options?: CallOptions): boolean;
+    function isSubsetOf(a: Input, b: Input, options?: CallOptions): boolean;
+    function isSupersetOf(a: Input, b: Input, options?: CallOptions): boolean;
+    function isProperSubsetOf(a: Input, b: Input, options?: CallOptions): boolean;
+    function isDisjointFrom(a: Input, b: Input, options?: CallOptions): boolean;
+    function relate(a: Input, b: Input, options?: CallOptions): Relation;
+    function wrapObj(toStr?: ()=>string): (v: any)=>any;
+    function isWrapped(v: any): boolean;
+    function structural(this: any): string;
+    function referential(this: any): any;
+    function registerType(name: string, encoder: TypeEncoder): typeof Set;
 }
 
@@ -51,44 +51,104 @@ function version() { return 'swiftSet v0.10.1 MIT License © 2014 James Abney ht
 //
 // set.items(); // => [o1, o2, o3]
 //
+// A set can also be created as a multiset (or bag) by passing
+// {multiset: true} as the options argument. A multiset counts how
+// many times each item was added.
+//
+// var bag = new Set([1, 1, 2], undefined, {multiset: true});
+// bag.count(1); // => 2
+// bag.items(); // => [1, 1, 2]
+//
+// Passing {ordered: true} creates a set which keeps its items in
+// the order they were first added, and supports positional access.
+//
+// var ordered = new Set(['b', 10, 'a', 2], undefined, {ordered: true});
+// ordered.items(); // => ['b', 10, 'a', 2]
+// ordered.at(1); // => 10
+//
 // ---------------------------------------------------------------
 
-function Set(a, hashFn) {
+function Set(a, hashFn, options) {
   var mutable = false;
 
+  options = options || {};
+
   // Create the set's backing object.
   this.hist = Object.create(null);
 
-  // Return either the identity function, or the 
-  // given hash function passed to the constructor.
-  this.uid = (function() {
-    return typeof hashFn === 'undefined' ?
-      // The identity function.
-      function() {
-        return this;
-      } :
-      // User-specified global key retriever.
-      function() {
-        return hashFn.call(this);
-      };
-  })();
-
-  // Initialize with array if supplied in constructor.
-  a && this.add.apply(this, a);
-
-  // Process set operations. Calls into Set.process.
-  this.process = function(b, evaluator) {
-    var b = (b instanceof Set) ? b.items() : b, result;
-    hashFn && Set.pushUid(hashFn);
-    result = Set.process(this.items(), b, evaluator);
-    hashFn && Set.popUid();
-    mutable && typeOf(result) === 'Array' && this.clear(result);
+  // The number of items in the set, kept up to date as items are
+  // added and removed.
+  this.total = 0;
+
+  // When true, items are counted rather than deduplicated.
+  this.multiset = !!options.multiset;
+
+  // The entries of an ordered set in first-insertion order, or null.
+  // Removed entries stay in the order until it's compacted; 'stale'
+  // counts them, and 'serial' numbers entries as they're inserted.
+  this.order = options.ordered ? [] : null;
+  this.stale = this.serial = 0;
+
+  // The keys of an unordered set and their positions, built when
+  // first needed by at() or indexOf() and discarded on any change.
+  this.positions = null;
+
+  // When true, items of different types never share a key.
+  this.typed = !!options.typed;
+
+  // When true, objects are keyed by reference, either through the
+  // identity option or by passing Set.referential as the hash function.
+  this.identity = hashFn ? hashFn === Set.referential : !!options.identity;
+
+  // Return either the default key method, or the 
+  // given hash function passed to the constructor. Sets
+  // with the same key method share the same uid function.
+  // Typed sets combine the key method with the type of the item.
+  this.uid = hashFn || (this.identity ? Set.referential : valueKey);
+  this.typed && (this.uid = typedKey(this.uid));
+
+  // Event handlers, the journal of an open transaction and the
+  // undo history, each created when first needed.
+  this.listeners = this.journal = this.marks = this.past = this.future = null;
+
+  // Initialize with an array or other iterable if supplied
+  // in constructor. A new set has no listeners or history to keep,
+  // and is discarded if an item can't be added, so items are loaded
+  // without a transaction.
+  a && load(this, listOf(a));
+
+  // Process set operations. Calls into Set.process, or into
+  // Set.processBag for multisets, unless 'b' is a set with the same
+  // uid method.
+  this.process = function(b, evaluator, bagEvaluator) {
+    var options = { key: this.uid }, result, d;
+    bagEvaluator = bagEvaluator || bagify(evaluator);
+    if (b instanceof Set && b.uid === this.uid && (this.multiset ? bagEvaluator : evaluator)) {
+      // Sets which share a uid method are combined directly from
+      // their histograms.
+      result = direct(this, b, evaluator, bagEvaluator);
+    } else {
+      b = listOf(b);
+      result = this.multiset ?
+        Set.processBag(this.items(), b, bagEvaluator, options) :
+        Set.process(this.items(), b, evaluator, options);
+    }
+    // Results which leave the set unchanged aren't recorded in its
+    // history.
+    if (mutable && typeOf(result) === 'Array' && !(this.past && unchanged(this, result))) {
+      atomic(this, function() {
+        d = replace(this, result);
+      });
+      this.listeners && publish(this, d, true);
+    }
     return result;
   }
 
-  // Create a clone of this set.
-  this.clone = function() {
-    return new Set(this.items(), hashFn);
+  // Create a clone of this set. Optionally initialize the clone
+  // with a different array of items. The clone has the same hash
+  // function and options, but is not mutable.
+  this.clone = function(a) {
+    return new Set(a || this.items(), hashFn, options);
   };
 
   // Make this set mutable.
@@ -102,58 +162,297 @@ function Set(a, hashFn) {
 Set.wrapObj = wrapObj;
 Set.isWrapped = isWrapped;
 
+// Rebuild a set from the JSON data (or a JSON string) produced by
+// its toJSON method. Functions can't be serialized, so a hash function
+// must be supplied again if the set needs one. Options are merged with
+// the options of the serialized set. Wrapped items are rewrapped
+// with options.wrap, or with the default wrapper.
+// Set.fromJSON(JSON.stringify(set), hashFn);
+Set.fromJSON = function(json, hashFn, options) {
+  var data = typeof json === 'string' ? JSON.parse(json) : json,
+  opts = {
+    multiset: data.multiset, ordered: data.ordered,
+    typed: data.typed, identity: data.identity
+  };
+  options && Object.keys(options).forEach(function(name) {
+    opts[name] = options[name];
+  });
+  return new Set(data.items.map(function(item) {
+    return decodeItem(item, opts);
+  }), hashFn, opts);
+};
+
+// Create a set from a native Set, or from the values of a native Map.
+// Native Sets compare items by reference, so a hash function or the
+// identity option may be needed to keep objects apart.
+// Set.fromNative(new window.Set([1, 2]));
+Set.fromNative = function(native, hashFn, options) {
+  return new Set(listOf(native), hashFn, options);
+};
+
+// A key method which derives a key from the contents of an item
+// rather than its identity or toString method. Plain objects, arrays
+// and dates with the same contents produce the same key, regardless
+// of the order of object properties. Types registered with
+// Set.registerType are keyed by their encoders. Use it as the hash
+// function of a set, or push it for static operations.
+// new Set([{a: 1, b: [2]}, {b: [2], a: 1}], Set.structural).size(); // => 1
+Set.structural = function() {
+  return structuralKey(this, []);
+};
+
+// A key method which keys objects and functions by reference, so that
+// each object is a distinct item without a toString method or an id.
+// Primitives are keyed by value, as they are by default. Use it as
+// the hash function of a set, or pass {identity: true} to the
+// constructor.
+// var a = {}, b = {};
+// new Set([a, b, a], Set.referential).size(); // => 2
+Set.referential = function() {
+  var type = typeof this;
+  return this !== null && (type === 'object' || type === 'function') ?
+    '\u0000#' + referenceId(this) : valueKey.call(this);
+};
+
+// Register an encoder which gives values of a type a key for wrapped
+// items and structural keys. 'test' returns true for values of the
+// type, and 'key' returns a string which is the same for equal values
+// of the type. 'key' also receives a function which returns the
+// structural key of a nested value. Encoders registered later take
+// precedence, so a built-in encoder can be replaced by registering
+// one under the same name.
+// Set.registerType('Point', {
+//   test: function(obj) { return obj instanceof Point; },
+//   key: function(point) { return point.x + ',' + point.y; }
+// });
+Set.registerType = function(name, encoder) {
+  encoders = encoders.filter(function(other) {
+    return other.name !== name;
+  }).concat([{ name: name, test: encoder.test, key: encoder.key }]);
+  return Set;
+};
+
 Set.prototype = {
 
   // Add one or more items to the set. add('a', 'b', 'c')
+  // A multiset increments the count of items already present.
   add: function() {
-    slice.call(arguments, 0).forEach(function(arg) {
-      var key = this.uid.call(arg), entry = this.hist[key];
-      if (!entry) {
-        entry = Object.create(null);
-        entry.item = arg;
-        entry.freq = 1;
-        this.hist[key] = entry;
-      }
-    }, this);
-    return this;
+    return this.addItems(arguments);
   },
 
   // Remove one or more items from the set. remove('b', 'c')
+  // A multiset decrements the count, removing the item at zero.
   remove: function() {
-    slice.call(arguments, 0).forEach(function(arg) {
-      var key = this.uid.call(arg);
-      if (this.hist[key]) {
-        delete this.hist[key];
-      }
-    }, this);
-    return this;
+    return this.removeItems(arguments);
   },
 
-  // Add multiple item to the histogram via an array of item.
+  // Add multiple item to the histogram via an array (or other
+  // iterable) of items. Items are added in a loop rather than passed
+  // as arguments, so arrays of any length can be loaded.
   addItems: function(a) {
-    this.add.apply(this, a);
+    var items = listOf(a), added = this.listeners && [];
+    atomic(this, function() {
+      for (var i = 0; i < items.length; i++) {
+        insert(this, items[i]) && added && added.push(items[i]);
+      }
+    });
+    added && added.length && notify(this, 'add', added, []);
     return this;
   },
 
-  // Remove multiple items from the histogram via an array of items.
+  // Remove multiple items from the histogram via an array (or other
+  // iterable) of items.
   removeItems: function(a) {
-    this.remove.apply(this, a);
+    var items = listOf(a), removed = this.listeners && [], item;
+    atomic(this, function() {
+      for (var i = 0; i < items.length; i++) {
+        item = erase(this, items[i]);
+        item !== erase.none && removed && removed.push(item);
+      }
+    });
+    removed && removed.length && notify(this, 'remove', [], removed);
     return this;
   },
 
   // Clear items from this set. Optionally initialize
   // with an array of items.
   clear: function(a) {
-    this.hist = Object.create(null);
-    a && this.addItems(a);
+    var prev = this.listeners && this.items(), d;
+    atomic(this, function() {
+      d = replace(this, a, true);
+    });
+    if (prev) {
+      emit(this, 'clear', this.items(), prev);
+      publish(this, d, false);
+    }
+    return this;
+  },
+
+  // ---------------------------------------------------------------
+  // Transactions - group changes to the set so that either all of
+  // them apply or none do. Changes made by add, remove, clear and
+  // operations on a mutable set between begin() and commit() are
+  // undone by rollback(). Transactions can be nested, and rolling
+  // back an inner transaction undoes only its own changes.
+  //
+  // set.transaction(function(set) {
+  //   set.add(4).remove(1);
+  //   set.intersection(other);
+  // });
+  //
+  // Each call to add, remove, clear or a mutable operation is also
+  // atomic on its own: if a hash function throws partway through,
+  // the set is left unchanged.
+  // ---------------------------------------------------------------
+
+  // Start a transaction.
+  begin: function() {
+    this.journal || (this.journal = [], this.marks = []);
+    this.marks.push(this.journal.length);
+    return this;
+  },
+
+  // Keep the changes made since the matching call to begin. The
+  // changes of a nested transaction can still be undone by rolling
+  // back the transaction around it.
+  commit: function() {
+    if (!this.marks) throw new Error('No transaction to commit');
+    this.marks.pop();
+    if (!this.marks.length) {
+      // The outermost transaction becomes a step in the history.
+      if (this.past && this.journal.length) {
+        this.past.push(this.journal) > this.depth && this.past.shift();
+        this.future = [];
+      }
+      this.journal = this.marks = null;
+    }
+    return this;
+  },
+
+  // Undo the changes made since the matching call to begin. Emits
+  // a change event for the items which rejoined or left the set.
+  rollback: function() {
+    var prev;
+    if (!this.marks) throw new Error('No transaction to roll back');
+    prev = this.listeners && snapshot(this.hist);
+    undo(this);
+    prev && changed(this, prev, false);
+    return this;
+  },
+
+  // ---------------------------------------------------------------
+  // History - undo and redo changes to the set. Once history is
+  // turned on, each call to add, remove, clear or an operation on a
+  // mutable set is recorded as one step, and so is each outermost
+  // transaction. A step records only the items which were added or
+  // removed, not a copy of the set, so clearing a set records every
+  // item it held. Undo and redo emit a change event.
+  //
+  // var set = new Set([1, 2]).mutable().history();
+  // set.add(3);
+  // set.undo(); // (1, 2)
+  // set.redo(); // (1, 2, 3)
+  // ---------------------------------------------------------------
+
+  // Start recording history, keeping up to 'depth' steps (100 by
+  // default). A depth of 0 stops recording and discards the history.
+  history: function(depth) {
+    this.depth = depth === undefined ? 100 : depth;
+    this.past = this.depth > 0 ? (this.past || []).slice(-this.depth) : null;
+    this.future = this.past && (this.future || []);
+    return this;
+  },
+
+  // Undo the most recent step.
+  undo: function() {
+    return travel(this, this.past, this.future);
+  },
+
+  // Redo the most recently undone step.
+  redo: function() {
+    return travel(this, this.future, this.past);
+  },
+
+  // Returns true if there is a step to undo.
+  canUndo: function() {
+    return !!(this.past && this.past.length);
+  },
+
+  // Returns true if there is a step to redo.
+  canRedo: function() {
+    return !!(this.future && this.future.length);
+  },
+
+  // Call the action with this set in a transaction, which is
+  // committed when the action returns and rolled back if it throws.
+  transaction: function(action, context) {
+    this.begin();
+    try {
+      action.call(context, this);
+    } catch (e) {
+      this.rollback();
+      throw e;
+    }
+    return this.commit();
+  },
+
+  // ---------------------------------------------------------------
+  // Events - subscribe to changes in the set's membership. Handlers
+  // receive an event object with the event type, the set as 'target',
+  // and arrays of the 'added' and 'removed' items, and are called with
+  // the set as 'this'.
+  //
+  // add - items were added by add or addItems.
+  // remove - items were removed by remove or removeItems.
+  // clear - the set was cleared (and possibly given new items).
+  // change - follows each of the above, and any operation on a
+  //   mutable set that changes its items. Only items which actually
+  //   joined or left the set are reported.
+  //
+  // An operation on a mutable set reports the items it added and
+  // removed with add and remove events before its change event.
+  // ---------------------------------------------------------------
+
+  // Subscribe to an event.
+  on: function(type, handler) {
+    var listeners = this.listeners || (this.listeners = Object.create(null));
+    (listeners[type] || (listeners[type] = [])).push(handler);
+    return this;
+  },
+
+  // Unsubscribe from an event. Without a handler, remove all
+  // handlers for the event.
+  off: function(type, handler) {
+    var handlers = this.listeners && this.listeners[type];
+    if (handlers) {
+      this.listeners[type] = handler ? handlers.filter(function(h) {
+        return h !== handler;
+      }) : [];
+    }
     return this;
   },
 
   // Iterate over items in the set. Return true to exit early.
+  // The action receives the item, its count and its key. Items in
+  // a multiset are visited once regardless of their count. Ordered
+  // sets are iterated in first-insertion order.
   each: function(action, context) {
-    for (var key in this.hist) {
+    var order = this.order, entry, key, i;
+    if (order) {
+      // Iterate over a copy, in case the action modifies the set.
+      order = order.slice();
+      for (i = 0; i < order.length; i++) {
+        entry = order[i];
+        if (this.hist[entry.key] === entry && action.call(
+          context, entry.item, entry.freq, entry.key
+        )) break;
+      }
+      return this;
+    }
+    for (key in this.hist) {
+      entry = this.hist[key];
       if (action.call(
-        context, this.hist[key].item
+        context, entry.item, entry.freq, key
      )) break;
     }
     return this;
@@ -162,32 +461,109 @@ Set.prototype = {
   // Map items in this set to another array of the same length.
   map: function(action, context) {
     var map = [];
-    this.each(function(item) {
-      map.push(action.call(this, item));
+    this.each(function(item, freq, key) {
+      map.push(action.call(this, item, freq, key));
     }, context);
     return map;
   },
 
-  // Return the items in this set.
+  // Return the items in this set. Items in a multiset are
+  // repeated according to their count.
   items: function() {
-    return this.map(function(item) {
+    var items = [];
+    this.each(function(item, freq) {
+      while (freq--) items.push(item);
+    });
+    return items;
+  },
+
+  // An iterator over the keys of items in the set, as stored in
+  // the set's histogram.
+  keys: function() {
+    return iterate(this, false, function(item, key) {
+      return key;
+    });
+  },
+
+  // An iterator over the items in the set. Like items(), items in
+  // a multiset are repeated according to their count. This is also
+  // the default iterator, so sets work with for...of and spread.
+  values: function() {
+    return iterate(this, true, function(item, key) {
       return item;
     });
   },
 
-  // Encodes key/type pairs for each element in the set.
+  // An iterator over [key, item] pairs for each item in the set.
+  entries: function() {
+    return iterate(this, false, function(item, key) {
+      return [key, item];
+    });
+  },
+
+  // The number of times an item occurs in the set. This is
+  // always 0 or 1 unless the set is a multiset.
+  count: function(item) {
+    var entry = this.hist[this.uid.call(item)];
+    return entry ? entry.freq : 0;
+  },
+
+  // The item at the given position in the set, or undefined. Positions
+  // follow the order in which each() visits items, which is only
+  // guaranteed for ordered sets.
+  at: function(index) {
+    var keys;
+    if (this.order) {
+      compact(this);
+      index < 0 && (index += this.order.length);
+      return index >= 0 && index < this.order.length ? this.order[index].item : undefined;
+    }
+    keys = positionsOf(this).keys;
+    index < 0 && (index += keys.length);
+    return index >= 0 && index < keys.length ?
+      this.hist[keys[index]].item : undefined;
+  },
+
+  // The position of an item in the set, or -1 if it's not present.
+  indexOf: function(item) {
+    var key = String(this.uid.call(item)), entry = this.hist[key];
+    if (!entry) return -1;
+    if (this.order) {
+      compact(this);
+      return seek(this.order, entry.serial);
+    }
+    return positionsOf(this).index[key];
+  },
+
+  // The first item in the set.
+  first: function() {
+    return this.at(0);
+  },
+
+  // The last item in the set.
+  last: function() {
+    return this.at(-1);
+  },
+
+  // Encodes key/type pairs for each element in the set. Multisets
+  // also encode the count of each element. Ordered sets encode
+  // elements in order rather than sorting them.
   keyify: function() {
     var keys = [], typeCode;
-    this.each(function(item) {
-      var key = this.uid.call(item);
-      keys.push(key + ':' + encodeObjType(item) + ',');
+    this.each(function(item, freq) {
+      // Strings which the default key method escapes are encoded as
+      // they are, since their type code sets them apart.
+      var key = typeof item === 'string' && this.uid === valueKey ? item : this.uid.call(item);
+      keys.push(key + ':' + encodeObjType(item) +
+        (this.multiset ? '*' + freq : '') + ',');
     }, this);
-    return '{' + keys.sort().join('').slice(0, -1) + '}';
+    this.order || keys.sort();
+    return '{' + keys.join('').slice(0, -1) + '}';
   },
 
   // An array of unwrapped items.
   unwrap: function() {
-    return this.map(function(item) {
+    return this.items().map(function(item) {
       return isWrapped(item) ? item.item : item;
     }, this);
   },
@@ -197,216 +573,1146 @@ Set.prototype = {
     return this.keyify();
   },
 
-  // The number of unique elements in the set.
+  // Conversion of this set to JSON data from which it can be rebuilt
+  // with Set.fromJSON. Each item is encoded along with its type, so
+  // that items such as 1 and '1' keep their types.
+  // JSON.stringify(new Set([1, 'a'])); // => '{"items":[[4,1],[5,"a"]]}'
+  toJSON: function() {
+    var json = { items: this.items().map(encodeItem) };
+    this.multiset && (json.multiset = true);
+    this.order && (json.ordered = true);
+    this.typed && (json.typed = true);
+    this.identity && (json.identity = true);
+    return json;
+  },
+
+  // The number of items in the set, without building the items.
+  // Multiset items are counted as many times as they occur.
   size: function() {
-    return this.items().length;
+    return this.total;
   },
 
   // Determines if an item is present in the set.
   has: function(item) {
-    var key = this.uid.call(item),
-    item = this.hist[key] && this.hist[key].item;
-    return item && true || false;
+    return !!this.hist[this.uid.call(item)];
   },
 
   // ---------------------------------------------------------------
   // Set operations - these operatons make use of sets 'a' (the set based
   // on the array given in the constructor) and 'b', based on the
-  // array passed to the set operation method below.
+  // array passed to the set operation method.
+  //
+  // union, intersection, difference, complement and sum are added to
+  // the prototype by Set.defineOperation, with the static operations.
   // ---------------------------------------------------------------
 
-  // The set of items from each set (a or b).
-  union: function(b) {
-    return this.process(b, function(freq) {
-      return true;
-    });
+  // Returns true if given set is equivalent to this set. Multisets
+  // are equivalent when every item has the same count in each.
+  equals: function(b) {
+    var flags = flagsOf(this, b);
+    return !flags.a && !flags.b;
   },
 
-  // The set of items that are common to both sets (a and b).
-  intersection: function(b) {
-    return this.process(b, function(freq) {
-      return freq === 3;
+  // Returns true if every item in this set is also in 'b'.
+  isSubsetOf: function(b) {
+    return !flagsOf(this, b).a;
+  },
+
+  // Returns true if every item in 'b' is also in this set.
+  isSupersetOf: function(b) {
+    return !flagsOf(this, b).b;
+  },
+
+  // Returns true if this set is a subset of 'b' but not equal to it.
+  isProperSubsetOf: function(b) {
+    var flags = flagsOf(this, b);
+    return !flags.a && flags.b;
+  },
+
+  // Returns true if this set has no items in common with 'b'.
+  isDisjointFrom: function(b) {
+    return !flagsOf(this, b).both;
+  },
+
+  // Classifies the relation of this set to 'b' as one of 'equal',
+  // 'subset', 'superset', 'overlapping' or 'disjoint'.
+  relate: function(b) {
+    return relation(flagsOf(this, b));
+  },
+
+  // ---------------------------------------------------------------
+  // Patches - the changes which turn one set into another, as
+  // arrays of 'added' and 'removed' items. Patches of plain values
+  // can be sent anywhere JSON can, and applied to a copy of the set.
+  //
+  // var patch = a.diff(b); // {added: [...], removed: [...]}
+  // copyOfA.applyPatch(patch); // copyOfA now has the items of b
+  // ---------------------------------------------------------------
+
+  // The patch which turns this set into 'b', from a single histogram
+  // pass. For multisets, items are repeated by the change in their
+  // counts.
+  diff: function(b) {
+    return patchOf(this.process(b), this.multiset);
+  },
+
+  // Apply a patch, or a patch serialized as JSON, removing its
+  // removed items and adding its added items. The patch is applied
+  // as one transaction, and is one step in the set's history.
+  applyPatch: function(patch) {
+    patch = typeof patch === 'string' ? JSON.parse(patch) : patch;
+    return this.transaction(function(set) {
+      set.removeItems(patch.removed).addItems(patch.added);
     });
   },
 
-  // Symmetric difference. The set of items from both sets
-  // that are unique to each set (union minus intersection).
-  // Note that for disjoint sets, this is the same as the 
-  // union of 'a' and 'b'.
-  difference: function(b) {
-    return this.process(b, function(freq) {
-      return freq < 3;
+  // ---------------------------------------------------------------
+  // Combinatorics - subsets of a set. Subsets are sets with the same
+  // hash function and options as this set, and they can be used as
+  // items of another set, which keys them by their keyify method.
+  // ---------------------------------------------------------------
+
+  // The set of all subsets of this set, including the empty set and
+  // the set itself. For multisets, this is the set of all
+  // sub-multisets. The power set of n items has 2^n subsets, so
+  // for large sets consider iterating with subsets() instead.
+  // new Set([1, 2]).powerSet(); // ((), (1), (2), (1, 2))
+  powerSet: function() {
+    var out = new Set(), subsets = this.subsets(), step;
+    while (!(step = subsets.next()).done) out.add(step.value);
+    return out;
+  },
+
+  // An iterator which lazily produces each subset of this set,
+  // starting with the empty set. Each subset is produced once.
+  subsets: function() {
+    var entries = this.map(function(item, freq) {
+      return { item: item, freq: freq };
+    }), digits = entries.map(function() {
+      return 0;
+    }), done = false, set = this;
+    return iterator(function() {
+      var subset, i;
+      if (done) return { value: undefined, done: true };
+      subset = set.clone([]);
+      entries.forEach(function(entry, index) {
+        for (var n = 0; n < digits[index]; n++) subset.add(entry.item);
+      });
+      // Advance the counter, where each digit is the count of an
+      // item in the next subset.
+      for (i = 0; i < digits.length && digits[i] === entries[i].freq; i++) {
+        digits[i] = 0;
+      }
+      i < digits.length ? digits[i]++ : (done = true);
+      return { value: subset, done: false };
     });
   },
 
-  // Relative complement. The set of items from 'a' except where
-  // the item is also in 'b' (a minus b).
-  complement: function(b) {
-    return this.process(b, function(freq) {
-      return freq == 1;
+  // A persistent set with the items and hash function of this set.
+  // Items can be added to or removed from it without copying the
+  // whole set. Multiset counts and order are not kept.
+  toPersistent: function() {
+    return new PersistentSet(this.items(), this.uid);
+  },
+
+  // A native Set with the items of this set. Multiset counts are
+  // not kept.
+  toNative: function() {
+    return new (nativeOf('Set'))(this.items());
+  },
+
+  // A native Map of the keys of this set, as stored in its
+  // histogram, to their items.
+  toMap: function() {
+    var map = new (nativeOf('Map'))();
+    this.each(function(item, freq, key) {
+      map.set(key, item);
     });
+    return map;
   },
 
-  // Returns true if given set is equivalent to this set. 
-  equals: function(b) {
-    var h = this.process(b), k,
-    max = 0, min = Infinity;
-    for (k in h) {
-      max = Math.max(max, h[k].freq);
-      min = Math.min(min, h[k].freq);
-    }
-    return min === 3 && max === 3;
+  // Begin a lazy query on this set. Operations added to the
+  // query are deferred until its result is needed.
+  // a.query().intersection(b).filter(fn).toArray();
+  query: function() {
+    return new Query(this);
+  },
+
+  // Begin a chain of operations on a copy of this set. Each
+  // operation in the chain produces a new set with the hash function
+  // and options of this one.
+  // a.chain().intersection(b).complement(c).toSet();
+  chain: function() {
+    return new Chain(this.clone());
   },
 
   constructor: Set
 };
 
 // ---------------------------------------------------------------
-// Faster Set Operations - these are set operations that are 
-// perfromed on two given arrays. They are class methods,
-// can be called directly and do not requre a Set object to be 
-// specifically constructed, and are generally faster than their
-// Set.prototye equivalents.
+// Chain - wraps a set so that set operations can be chained. Each
+// operation replaces the wrapped set with a new set holding the
+// result, so the original set is never modified.
+// ---------------------------------------------------------------
+function Chain(set) {
+  this.set = set;
+}
+
+Chain.prototype = {
+
+  // The set holding the result of the chain so far.
+  toSet: function() {
+    return this.set;
+  },
+
+  // The items resulting from the chain so far.
+  items: function() {
+    return this.set.items();
+  },
+
+  constructor: Chain
+};
+
+// Set operations are added to the chain by Set.defineOperation.
+
+// ---------------------------------------------------------------
+// Query - records a pipeline of set operations, filters and maps
+// and defers all work until the result is materialized with
+// toArray, toSet, size, each or iteration. Steps between maps are
+// fused into a single pass over the inputs: each candidate item is
+// run through every step in turn, and Set operands which share the
+// query's key method are read directly from their histograms, so no
+// intermediate arrays are built. A map changes the keys of items,
+// so the items produced by a map are collected into a set before
+// the following steps run.
 //
-// Example usage: Set.intersection([1, 2, 3], [2, 3, 4]) => [2, 3]
+// Queries are immutable. Each step returns a new query, so a query
+// can be used as the starting point for several others.
 //
-// Arrays of objects can be used as well, but each object must
-// have a toString() method which returns a unique value, or the
-// objects must be wrapped. 
-// 
-// See the documentation for more information.
-// http://github.com/jabney/swiftSet
+// var q = set.query().union(b).complement(c);
+// q.filter(function(item) { return item > 2; }).toArray();
 // ---------------------------------------------------------------
-(function() {
-  var uidList = [], uid;
+function Query(set, steps) {
+  this.set = set;
+  this.steps = steps || [];
+}
 
-  // Create and push the uid identity method.
-  uidList.push(uid = function() {
-    return this;
-  });
+Query.prototype = {
 
-  // Push a new uid method onto the stack. Call this and
-  // supply a unique key generator for sets of objects.
-  Set.pushUid = function(method) {
-    uidList.push(method);
-    uid = method;
-    return method;
-  };
+  // Keep only the items for which the action returns true.
+  filter: function(action, context) {
+    return this.append({ filter: action, context: context });
+  },
 
-  // Pop the previously pushed uid method off the stack and
-  // assign top of stack to uid. Return the 
-  Set.popUid = function() {
-    var prev;
-    uidList.length > 1 && (prev = uidList.pop());
-    uid = uidList[uidList.length-1];
-    return prev || null;
-  };
+  // Replace each item with the value returned by the action.
+  map: function(action, context) {
+    return this.append({ map: action, context: context });
+  },
 
-  // Processes a histogram consructed from two arrays, 'a' and 'b'.
-  // This function is used generically by the below set operation 
-  // methods, a.k.a, 'evaluators', to return some subset of
-  // a set union, based on frequencies in the histogram. 
-  Set.process = function(a, b, evaluator) {
-    var hist = Object.create(null), out = [], ukey, k;
-    a.forEach(function(item) {
-      ukey = uid.call(item);
-      if(!hist[ukey]) {
-        hist[ukey] = { item: item, freq: 1 };
-      }
-    });
-    // Merge b into the histogram.
-    b.forEach(function(item) {
-      ukey = uid.call(item);
-      if (hist[ukey]) {
-        if (hist[ukey].freq === 1)
-          hist[ukey].freq = 3;
-      } else {
-        hist[ukey] = { item: item, freq: 2 };
-      }
-    });
-    // Call the given evaluator.
-    if (evaluator) {
-      for (k in hist) {
-        if (evaluator(hist[k].freq)) out.push(hist[k].item);
+  // Return a new query with the given step appended.
+  append: function(step) {
+    return new Query(this.set, this.steps.concat([step]));
+  },
+
+  // Run the query and return its items as an array.
+  toArray: function() {
+    var set = this.set, steps = this.steps, start = 0, i;
+    for (i = 0; i < steps.length; i++) {
+      if (steps[i].map) {
+        set = set.clone(fuse(set, steps.slice(start, i)).map(
+          steps[i].map, steps[i].context));
+        start = i + 1;
       }
-      return out;
-    } else {
-      return hist;
     }
-  };
-
-  // Join two sets together.
-  // Set.union([1, 2, 2], [2, 3]) => [1, 2, 3]
-  Set.union = function(a, b) {
-    return Set.process(a, b, function(freq) {
-      return true;
-    });
-  };
+    return fuse(set, steps.slice(start));
+  },
 
-  // Return items common to both sets. 
-  // Set.intersection([1, 1, 2], [2, 2, 3]) => [2]
-  Set.intersection = function(a, b) {
-    return Set.process(a, b, function(freq) {
-      return freq === 3;
-    });
-  };
+  // Run the query and return its items in a new set, which has
+  // the hash function and options of the queried set.
+  toSet: function() {
+    return this.set.clone(this.toArray());
+  },
 
-  // Symmetric difference. Items from either set that
-  // are not in both sets.
-  // Set.difference([1, 1, 2], [2, 3, 3]) => [1, 3]
-  Set.difference = function(a, b) {
-    return Set.process(a, b, function(freq) {
-      return freq < 3;
-    });
-  };
+  // Run the query and return the number of items.
+  size: function() {
+    return this.toArray().length;
+  },
 
-  // Relative complement. Items from 'a' which are
-  // not also in 'b'.
-  // Set.complement([1, 2, 2], [2, 2, 3]) => [3]
-  Set.complement = function(a, b) {
-    return Set.process(a, b, function(freq) {
-      return freq === 1;
+  // Run the query and iterate over its items. Return true
+  // to exit early.
+  each: function(action, context) {
+    this.toArray().some(function(item) {
+      return action.call(context, item);
     });
-  };
-
-  // Returns true if both sets are equivalent, false otherwise.
-  // Set.equals([1, 1, 2], [1, 2, 2]) => true
-  // Set.equals([1, 1, 2], [1, 2, 3]) => false
-  Set.equals = function(a, b) {
-    var max = 0, min = Infinity, key,
-      hist = Set.process(a, b);
-    for (var key in hist) {
-      max = Math.max(max, hist[key].freq);
-      min = Math.min(min, hist[key].freq);
-    }
-    return min === 3 && max === 3;
-  };
-})();
+    return this;
+  },
 
-var
-// Shortcuts
-slice = Array.prototype.slice,
+  constructor: Query
+};
 
-// Return the type of built-in objects via toString.
-typeOf = (function() {
-  var reType = /\[object (\w+)\]/; 
-  return function(obj) {
-    return reType.exec(toString.call(obj))[1];
-  };
-})(),
+// Set operations are added to the query by Set.defineOperation,
+// as steps described by the operation's evaluator.
 
-// Encode object type for key generation.
-encodeObjType = (function() {
+// Run a sequence of query steps, none of which is a map, against a
+// set in a single pass. Candidates are the items of the set and of
+// every operand whose step can add items (where evaluator(2) is
+// true). Each candidate is evaluated once, in order through every
+// step, tracking whether it's a member of the result so far. For
+// multisets, the candidate's count is tracked instead, through the
+// operations' multiset evaluators, as in Set.processBag.
+function fuse(set, steps) {
+  var uid = set.uid, bag = set.multiset, out = [],
+  visited = Object.create(null), last = -1,
+  lookups = steps.map(function(step, index) {
+    if (!step.evaluator) return null;
+    adds(step) && (last = index);
+    return lookup(step.operand, uid);
+  });
 
-  var toString = Object.prototype.toString,
+  // Whether a step can add items which are only in its operand.
+  function adds(step) {
+    return bag ? step.bagEvaluator(0, 1) > 0 : !!step.evaluator(2);
+  }
 
-  // A list of built-in types.
-  types = ['Null','Undefined','Array','Boolean','Number','String','Object',
-    'Function','Date','Error','RegExp','Arguments','Math','JSON'],
+  // Determine how many times an item with the given key is in the
+  // result, starting from its count in the set.
+  function evaluate(item, key, count) {
+    var step, entry, freq, i;
+    for (i = 0; i < steps.length; i++) {
+      // A non-member can only be added back by a later operand.
+      if (!count && i > last) return 0;
+      step = steps[i];
+      entry = lookups[i] && lookups[i][key];
+      if (step.filter) {
+        count = count && step.filter.call(step.context, item) ? count : 0;
+      } else if (bag) {
+        count = Math.max(step.bagEvaluator(count, entry ? entry.freq : 0), 0);
+      } else {
+        freq = (count ? 1 : 0) + (entry ? 2 : 0);
+        count = freq > 0 && step.evaluator(freq) ? 1 : 0;
+      }
+    }
+    return count;
+  }
+
+  function push(item, count) {
+    while (count-- > 0) out.push(item);
+  }
+
+  set.each(function(item, freq, key) {
+    push(item, evaluate(item, key, bag ? freq : 1));
+  });
+  lookups.forEach(function(hist, index) {
+    if (hist && adds(steps[index])) {
+      eachOf(steps[index].operand, uid, function(item, key) {
+        if (!set.hist[key] && !visited[key]) {
+          visited[key] = true;
+          push(item, evaluate(item, key, 0));
+        }
+      });
+    }
+  });
+  return out;
+}
+
+// Call the action with each item of an operation input and its
+// key, in order. Set inputs which use the given uid method are
+// iterated without copying their items.
+function eachOf(input, uid, action) {
+  if (input instanceof Set && input.uid === uid) {
+    input.each(function(item, freq, key) {
+      action(item, key);
+    });
+  } else {
+    listOf(input).forEach(function(item) {
+      action(item, uid.call(item));
+    });
+  }
+}
+
+// Return a histogram of the items of an operation input, keyed by
+// the given uid method, which counts how many times each item
+// occurs. The histogram of a Set which uses the same uid method is
+// returned directly.
+function lookup(input, uid) {
+  var hist;
+  if (input instanceof Set && input.uid === uid) return input.hist;
+  hist = Object.create(null);
+  listOf(input).forEach(function(item) {
+    var key = uid.call(item);
+    hist[key] ? hist[key].freq++ : (hist[key] = { item: item, freq: 1 });
+  });
+  return hist;
+}
+
+// ---------------------------------------------------------------
+// PersistentSet - an immutable set backed by a hash array mapped
+// trie. Items are keyed by the same uid method as a Set, and the
+// key is hashed to 32 bits, five bits per level of the trie.
+// Adding or removing an item copies only the nodes on the path to
+// it, so each operation returns a new set in roughly logarithmic
+// time, sharing the rest of its structure with the original. Sets
+// which are never modified can be kept as snapshots for free.
+//
+// var a = new PersistentSet([1, 2, 3]), b = a.add(4);
+// a.size(); // 3
+// b.size(); // 4
+// ---------------------------------------------------------------
+function PersistentSet(a, hashFn) {
+  var set = persistent(empty, 0, hashFn || valueKey).addItems(a);
+  this.root = set.root;
+  this.count = set.count;
+  this.uid = set.uid;
+}
+
+PersistentSet.prototype = {
+
+  // Returns true if the item is in the set.
+  has: function(item) {
+    var key = String(this.uid.call(item));
+    return !!find(this.root, hashOf(key), key, 0);
+  },
+
+  // The number of items in the set.
+  size: function() {
+    return this.count;
+  },
+
+  // Returns a set with the given items added. The set is returned
+  // unchanged if all of the items are already in it.
+  add: function() {
+    return this.addItems(arguments);
+  },
+
+  // Returns a set with the given items removed. The set is returned
+  // unchanged if none of the items are in it.
+  remove: function() {
+    return this.removeItems(arguments);
+  },
+
+  // Returns a set with the items of 'a' added.
+  addItems: function(a) {
+    var root = this.root, count = this.count, uid = this.uid;
+    listOf(a).forEach(function(item) {
+      var key = String(uid.call(item)), next = assoc(root,
+        { hash: hashOf(key), key: key, item: item }, 0);
+      next !== root && (root = next, count++);
+    });
+    return root === this.root ? this : persistent(root, count, uid);
+  },
+
+  // Returns a set with the items of 'a' removed.
+  removeItems: function(a) {
+    var root = this.root, count = this.count, uid = this.uid;
+    listOf(a).forEach(function(item) {
+      var key = String(uid.call(item)), next = dissoc(root, hashOf(key), key, 0);
+      next !== root && (root = next || empty, count--);
+    });
+    return root === this.root ? this : persistent(root, count, uid);
+  },
+
+  // An empty set with the same hash function as this set.
+  clear: function() {
+    return this.count ? persistent(empty, 0, this.uid) : this;
+  },
+
+  // Returns a set with a patch (see Set.diff) applied to it.
+  applyPatch: function(patch) {
+    patch = typeof patch === 'string' ? JSON.parse(patch) : patch;
+    return this.removeItems(patch.removed).addItems(patch.added);
+  },
+
+  // Returns a set with the items of this set and of 'b'. When 'b' is
+  // a larger persistent set with the same hash function, this set's
+  // items are added to it instead.
+  union: function(b) {
+    if (b instanceof PersistentSet && b.uid === this.uid && b.count > this.count) {
+      return b.addItems(this);
+    }
+    return this.addItems(b);
+  },
+
+  // Returns a set with the items of this set which are also in 'b'.
+  intersection: function(b) {
+    var contains = membership(b, this.uid);
+    return this.removeItems(this.items().filter(function(item) {
+      return !contains(item);
+    }));
+  },
+
+  // Returns a set with the items which are in either this set or
+  // 'b', but not both.
+  difference: function(b) {
+    var set = this;
+    distinct(b, this.uid).forEach(function(item) {
+      set = set.has(item) ? set.remove(item) : set.add(item);
+    });
+    return set;
+  },
+
+  // Returns a set with the items of this set which are not in 'b'.
+  complement: function(b) {
+    return this.removeItems(b);
+  },
+
+  // Returns true if this set and 'b' have exactly the same items.
+  equals: function(b) {
+    var items = distinct(b, this.uid);
+    return items.length === this.count && items.every(this.has, this);
+  },
+
+  // Call the action with each item in the set. Return true
+  // to exit early.
+  each: function(action, context) {
+    walk(this.root, function(leaf) {
+      return action.call(context, leaf.item);
+    });
+    return this;
+  },
+
+  // The items of the set as an array.
+  items: function() {
+    var items = [];
+    this.each(function(item) {
+      items.push(item);
+    });
+    return items;
+  },
+
+  // A new Set with the items and hash function of this set.
+  toSet: function(options) {
+    return new Set(this.items(), this.uid, options);
+  },
+
+  constructor: PersistentSet
+};
+
+// The root of an empty trie.
+var empty = { bitmap: 0, slots: [] };
+
+// Create a persistent set around the root of a trie.
+function persistent(root, count, uid) {
+  var set = Object.create(PersistentSet.prototype);
+  set.root = root;
+  set.count = count;
+  set.uid = uid;
+  return set;
+}
+
+// Return a function which tests whether an item is in an operation
+// input, keyed by the given uid method.
+function membership(input, uid) {
+  var hist;
+  if (input instanceof PersistentSet && input.uid === uid) {
+    return function(item) { return input.has(item); };
+  }
+  hist = lookup(input, uid);
+  return function(item) { return !!hist[uid.call(item)]; };
+}
+
+// The distinct items of an operation input, keyed by the given
+// uid method.
+function distinct(input, uid) {
+  var hist = lookup(input, uid);
+  return Object.keys(hist).map(function(key) {
+    return hist[key].item;
+  });
+}
+
+// Hash a key string to an unsigned 32-bit integer (FNV-1a).
+function hashOf(key) {
+  var hash = 0x811c9dc5, i;
+  for (i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+  }
+  return hash >>> 0;
+}
+
+// The number of bits set in a 32-bit integer.
+function popcount(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+// Trie nodes hold a bitmap of the five-bit hash fragments present at
+// their level, and a compact array of slots for them. A slot is
+// either a node, a leaf { hash, key, item }, or a collision
+// { hash, leaves } holding leaves whose hashes are equal. Nodes are
+// never modified; changes return a copy of each node on the path.
+
+// Find the leaf with the given hash and key, or return undefined.
+function find(node, hash, key, shift) {
+  var bit = 1 << ((hash >>> shift) & 31), slot;
+  if (!(node.bitmap & bit)) return undefined;
+  slot = node.slots[popcount(node.bitmap & (bit - 1))];
+  if (slot.slots) return find(slot, hash, key, shift + 5);
+  if (slot.leaves) {
+    return slot.leaves.filter(function(leaf) {
+      return leaf.key === key;
+    })[0];
+  }
+  return slot.key === key ? slot : undefined;
+}
+
+// Return a node with the leaf added, or the same node if a leaf
+// with its key is already present.
+function assoc(node, leaf, shift) {
+  var bit = 1 << ((leaf.hash >>> shift) & 31),
+  index = popcount(node.bitmap & (bit - 1)), slot, child;
+  if (!(node.bitmap & bit)) return splice(node, index, 0, leaf, node.bitmap | bit);
+  slot = node.slots[index];
+  if (slot.slots) {
+    child = assoc(slot, leaf, shift + 5);
+    return child === slot ? node : splice(node, index, 1, child, node.bitmap);
+  }
+  if ((slot.leaves || [slot]).some(function(other) {
+    return other.key === leaf.key;
+  })) return node;
+  return splice(node, index, 1, merge(slot, leaf, shift + 5), node.bitmap);
+}
+
+// Return a node without the leaf with the given hash and key, the
+// same node if there is no such leaf, or null if the node is left
+// empty.
+function dissoc(node, hash, key, shift) {
+  var bit = 1 << ((hash >>> shift) & 31),
+  index = popcount(node.bitmap & (bit - 1)), slot, child, leaves;
+  if (!(node.bitmap & bit)) return node;
+  slot = node.slots[index];
+  if (slot.slots) {
+    child = dissoc(slot, hash, key, shift + 5);
+    if (child === slot) return node;
+    // Pull a lone leaf or collision up into this node.
+    child && child.slots.length === 1 && !child.slots[0].slots && (child = child.slots[0]);
+    return child ?
+      splice(node, index, 1, child, node.bitmap) :
+      splice(node, index, 1, null, node.bitmap & ~bit);
+  }
+  if (slot.leaves) {
+    leaves = slot.leaves.filter(function(leaf) {
+      return leaf.key !== key;
+    });
+    if (leaves.length === slot.leaves.length) return node;
+    return splice(node, index, 1, leaves.length > 1 ?
+      { hash: hash, leaves: leaves } : leaves[0], node.bitmap);
+  }
+  if (slot.key !== key) return node;
+  return splice(node, index, 1, null, node.bitmap & ~bit);
+}
+
+// Combine a leaf or collision with a new leaf which has a different
+// key, in a node at the given level.
+function merge(slot, leaf, shift) {
+  var a = (slot.hash >>> shift) & 31, b = (leaf.hash >>> shift) & 31;
+  if (slot.hash === leaf.hash) {
+    return { hash: leaf.hash, leaves: (slot.leaves || [slot]).concat([leaf]) };
+  }
+  // Hashes which differ must differ within the remaining bits.
+  if (a === b) return { bitmap: 1 << a, slots: [merge(slot, leaf, shift + 5)] };
+  return { bitmap: (1 << a) | (1 << b), slots: a < b ? [slot, leaf] : [leaf, slot] };
+}
+
+// Copy a node, removing 'remove' slots at the index and inserting
+// the given slot there if there is one. Returns null if the copy
+// would be empty.
+function splice(node, index, remove, slot, bitmap) {
+  var slots = node.slots.slice();
+  slot ? slots.splice(index, remove, slot) : slots.splice(index, remove);
+  return slots.length ? { bitmap: bitmap, slots: slots } : null;
+}
+
+// Call the action with each leaf of a trie. Return true from the
+// action to exit early.
+function walk(node, action) {
+  return node.slots.some(function(slot) {
+    if (slot.slots) return walk(slot, action);
+    return slot.leaves ? slot.leaves.some(action) : action(slot);
+  });
+}
+
+// ---------------------------------------------------------------
+// Faster Set Operations - these are set operations that are 
+// perfromed on two given arrays. They are class methods,
+// can be called directly and do not requre a Set object to be 
+// specifically constructed, and are generally faster than their
+// Set.prototye equivalents.
+//
+// Example usage: Set.intersection([1, 2, 3], [2, 3, 4]) => [2, 3]
+//
+// Arrays of objects can be used as well, but each object must
+// have a toString() method which returns a unique value, or the
+// objects must be wrapped. 
+// 
+// See the documentation for more information.
+// http://github.com/jabney/swiftSet
+// ---------------------------------------------------------------
+(function() {
+  var uidList = [], uid,
+  // Operations defined by callers of Set.defineOperation, which they
+  // may redefine. The built-in operations are defined before 'sealed'
+  // is set, and can't be.
+  operations = Object.create(null), sealed = false,
+  // Static operations which take per-call options as their last
+  // argument. Operations defined with Set.defineOperation are added.
+  keyed = ['process', 'processAll', 'processBag', 'unionAll', 'intersectionAll',
+    'equals', 'isSubsetOf', 'isSupersetOf', 'isProperSubsetOf', 'isDisjointFrom',
+    'relate', 'diff'];
+
+  // Push the default uid method, which keys items by value.
+  uidList.push(uid = valueKey);
+
+  // Push a new uid method onto the stack. Call this and
+  // supply a unique key generator for sets of objects.
+  Set.pushUid = function(method) {
+    uidList.push(method);
+    uid = method;
+    return method;
+  };
+
+  // Pop the previously pushed uid method off the stack and
+  // assign top of stack to uid. Return the 
+  Set.popUid = function() {
+    var prev;
+    uidList.length > 1 && (prev = uidList.pop());
+    uid = uidList[uidList.length-1];
+    return prev || null;
+  };
+
+  // Call the callback with the given uid method pushed, and restore
+  // the previous uid method when the callback returns or throws. The
+  // callback receives the static operations bound to the uid method,
+  // which don't depend on the stack. Use them in asynchronous
+  // callbacks, since the method is popped as soon as the callback
+  // returns, before any promise it returns is settled.
+  // Set.withUid(getId, function(ops) {
+  //   return ops.union(a, b);
+  // });
+  Set.withUid = function(method, callback) {
+    var depth = uidList.length;
+    Set.pushUid(method);
+    try {
+      return callback(scope(method));
+    } finally {
+      // Also discard anything the callback pushed and didn't pop.
+      uidList.length = depth;
+      uid = uidList[depth - 1];
+    }
+  };
+
+  // The uid method for a static operation: the key option if one is
+  // given, otherwise the method on top of the stack. The typed option
+  // combines it with the type of the item.
+  function uidOf(options) {
+    var method = options && options.key || uid;
+    return options && options.typed ? typedKey(method) : method;
+  }
+
+  // The static operations which take options, bound to a uid method.
+  function scope(method) {
+    var ops = {}, options = { key: method };
+    keyed.forEach(function(name) {
+      var arity = Set[name].length - 1;
+      ops[name] = function() {
+        var args = slice.call(arguments, 0, arity);
+        args.length = arity;
+        return Set[name].apply(Set, args.concat([options]));
+      };
+    });
+    return ops;
+  }
+
+  // Processes a histogram consructed from two arrays, 'a' and 'b'.
+  // This function is used generically by the below set operation 
+  // methods, a.k.a, 'evaluators', to return some subset of
+  // a set union, based on frequencies in the histogram. 
+  //
+  // Like the other static operations, it takes an optional options
+  // object as its last argument. options.key is a uid method which
+  // is used for this call only, in place of the one on the stack, and
+  // options.typed keeps items of different types apart.
+  // Set.union(a, b, {key: getId});
+  Set.process = function(a, b, evaluator, options) {
+    return Set.processAll([a, b], evaluator, options);
+  };
+
+  // Processes a histogram constructed from any number of arrays or
+  // sets. Each entry records the inputs the item belongs to as a
+  // bitmask in its 'freq' property: bit 0 for the first input, bit 1
+  // for the second and so on. For two inputs, this produces the same
+  // frequencies (1, 2 or 3) as Set.process. The evaluator receives
+  // the mask along with the mask of an item present in every input.
+  // Set.processAll([[1, 2], [2, 3], [2, 4]], function(mask, all) {
+  //   return mask === all;
+  // }); => [2]
+  Set.processAll = function(inputs, evaluator, options) {
+    var hist = Object.create(null), order = [], out = [], method = uidOf(options), all;
+    if (inputs.length > 32) {
+      throw new RangeError('Set.processAll supports at most 32 inputs');
+    }
+    all = inputs.length && (-1 >>> (32 - inputs.length));
+    inputs.forEach(function(input, index) {
+      var bit = (1 << index) >>> 0;
+      listOf(input).forEach(function(item) {
+        var ukey = method.call(item);
+        if (hist[ukey]) {
+          hist[ukey].freq = (hist[ukey].freq | bit) >>> 0;
+        } else {
+          hist[ukey] = { item: item, freq: bit };
+          order.push(ukey);
+        }
+      });
+    });
+    // Call the given evaluator. Output follows the order in
+    // which items were first seen.
+    if (evaluator) {
+      order.forEach(function(k) {
+        if (evaluator(hist[k].freq, all)) out.push(hist[k].item);
+      });
+      return out;
+    } else {
+      return hist;
+    }
+  };
+
+  // Processes a histogram of item counts constructed from two
+  // arrays, 'a' and 'b', which may contain repeated items. Each
+  // entry records the count of the item in 'a' and in 'b'. The
+  // evaluator receives both counts and returns the number of times
+  // the item should appear in the output.
+  Set.processBag = function(a, b, evaluator, options) {
+    var hist = Object.create(null), order = [], out = [], method = uidOf(options), ukey;
+    listOf(a).forEach(function(item) {
+      ukey = method.call(item);
+      if (!hist[ukey]) {
+        hist[ukey] = { item: item, a: 0, b: 0 };
+        order.push(ukey);
+      }
+      hist[ukey].a++;
+    });
+    // Merge b into the histogram.
+    listOf(b).forEach(function(item) {
+      ukey = method.call(item);
+      if (!hist[ukey]) {
+        hist[ukey] = { item: item, a: 0, b: 0 };
+        order.push(ukey);
+      }
+      hist[ukey].b++;
+    });
+    // Call the given evaluator.
+    if (evaluator) {
+      order.forEach(function(k) {
+        var n = evaluator(hist[k].a, hist[k].b);
+        while (n-- > 0) out.push(hist[k].item);
+      });
+      return out;
+    } else {
+      return hist;
+    }
+  };
+
+  // Define a set operation from an evaluator, which decides from
+  // the freq of an item (1 for 'a' only, 2 for 'b' only, 3 for both)
+  // whether it's in the result, as with Set.process. The operation
+  // is added as a static method on arrays, as a Set method which
+  // honours mutable() and the set's hash function, and to chains
+  // and queries. options.multiset is an evaluator for multisets,
+  // which receives the counts of an item in 'a' and 'b' and returns
+  // its count in the result. Without one, multiset items which pass
+  // the evaluator keep the larger of their counts.
+  // Set.defineOperation('rcomplement', function(freq) { return freq === 2; });
+  // Set.rcomplement([1, 2], [2, 3]) => [3]
+  // new Set([1, 2]).rcomplement([2, 3]) => [3]
+  Set.defineOperation = function(name, evaluator, options) {
+    var bagEvaluator = options && options.multiset;
+    if (!operations[name] && (name in Set || name in new Set() ||
+      name in Chain.prototype || name in Query.prototype)) {
+      throw new TypeError('Set.defineOperation: ' + name + ' is already defined');
+    }
+    operations[name] || keyed.push(name);
+    operations[name] = sealed;
+    Set[name] = swiftSet[name] = function(a, b, options) {
+      return Set.process(a, b, evaluator, options);
+    };
+    Set.prototype[name] = function(b) {
+      return this.process(b, evaluator, bagEvaluator);
+    };
+    Chain.prototype[name] = function(b) {
+      this.set = this.set.clone(this.set[name](b));
+      return this;
+    };
+    Query.prototype[name] = function(b) {
+      return this.append({
+        evaluator: evaluator,
+        bagEvaluator: bagEvaluator || bagify(evaluator),
+        operand: b
+      });
+    };
+    return Set;
+  };
+
+  // Join two sets together. Multisets keep the larger count.
+  // Set.union([1, 2, 2], [2, 3]) => [1, 2, 3]
+  Set.defineOperation('union', function(freq) {
+    return true;
+  }, { multiset: function(m, n) {
+    return Math.max(m, n);
+  }});
+
+  // Return items common to both sets. Multisets keep the
+  // smaller count.
+  // Set.intersection([1, 1, 2], [2, 2, 3]) => [2]
+  Set.defineOperation('intersection', function(freq) {
+    return freq === 3;
+  }, { multiset: function(m, n) {
+    return Math.min(m, n);
+  }});
+
+  // Symmetric difference. Items from either set that
+  // are not in both sets (union minus intersection). Note
+  // that for disjoint sets, this is the same as the union.
+  // Multisets keep the difference of the counts.
+  // Set.difference([1, 1, 2], [2, 3, 3]) => [1, 3]
+  Set.defineOperation('difference', function(freq) {
+    return freq < 3;
+  }, { multiset: function(m, n) {
+    return Math.abs(m - n);
+  }});
+
+  // Relative complement. Items from 'a' which are
+  // not also in 'b' (a minus b). Multisets subtract the
+  // count in 'b' from the count in 'a'.
+  // Set.complement([1, 2, 2], [2, 2, 3]) => [1]
+  Set.defineOperation('complement', function(freq) {
+    return freq === 1;
+  }, { multiset: function(m, n) {
+    return m - n;
+  }});
+
+  // The items from each set, with the counts of multisets
+  // added together (a + b). For sets, this is the same as union.
+  // Set.sum([1, 2], [2, 3]) => [1, 2, 3]
+  Set.defineOperation('sum', function(freq) {
+    return true;
+  }, { multiset: function(m, n) {
+    return m + n;
+  }});
+  sealed = true;
+
+  // The patch which turns 'a' into 'b': the items 'added' to
+  // 'b' and those 'removed' from 'a', from a single histogram pass.
+  // Set.diff([1, 2], [2, 3]) => {added: [3], removed: [1]}
+  Set.diff = function(a, b, options) {
+    return patchOf(Set.process(a, b, null, options), false);
+  };
+
+  // The patch which undoes a patch, swapping its added and
+  // removed items.
+  // Set.invertPatch({added: [3], removed: [1]}) => {added: [1], removed: [3]}
+  Set.invertPatch = function(patch) {
+    return { added: patch.removed.slice(), removed: patch.added.slice() };
+  };
+
+  // Join any number of sets together.
+  // Set.unionAll([[1, 2], [2, 3], [3, 4]]) => [1, 2, 3, 4]
+  Set.unionAll = function(inputs, options) {
+    var seen = Object.create(null), out = [], method = uidOf(options);
+    inputs.forEach(function(input) {
+      listOf(input).forEach(function(item) {
+        var ukey = method.call(item);
+        if (!seen[ukey]) {
+          seen[ukey] = true;
+          out.push(item);
+        }
+      });
+    });
+    return out;
+  };
+
+  // Return items common to any number of sets. Starts from the
+  // smallest input and stops as soon as the result is empty.
+  // Set.intersectionAll([[1, 2, 3], [2, 3], [3, 4]]) => [3]
+  Set.intersectionAll = function(inputs, options) {
+    var hist = Object.create(null), order = [], out = [], count = 0,
+      method = uidOf(options), lists, round, k;
+    if (!inputs.length) return out;
+    lists = inputs.map(listOf).sort(function(a, b) {
+      return a.length - b.length;
+    });
+    lists[0].forEach(function(item) {
+      var ukey = method.call(item);
+      if (!hist[ukey]) {
+        hist[ukey] = { item: item, freq: 0 };
+        order.push(ukey);
+        count++;
+      }
+    });
+    // The freq of an entry is the last round in which it was found.
+    for (round = 1; round < lists.length && count; round++) {
+      lists[round].forEach(function(item) {
+        var entry = hist[method.call(item)];
+        entry && (entry.freq = round);
+      });
+      for (k in hist) {
+        if (hist[k].freq !== round) {
+          delete hist[k];
+          count--;
+        }
+      }
+    }
+    order.forEach(function(k) {
+      hist[k] && out.push(hist[k].item);
+    });
+    return out;
+  };
+
+  // Return the distinct items of each input along with the uid
+  // method that keys them.
+  function factors(inputs) {
+    return inputs.map(function(input) {
+      return input instanceof Set ? {
+        items: input.map(function(item) { return item; }),
+        uid: input.uid
+      } : {
+        items: Set.union(input, []),
+        uid: uid
+      };
+    });
+  }
+
+  // The Cartesian product of any number of sets, as a set of tuples
+  // (arrays). Tuples are keyed by the keys and types of their items,
+  // so a tuple can be looked up with an equivalent array.
+  // Set.product([1, 2], ['a', 'b']); // ([1, 'a'], [1, 'b'], [2, 'a'], [2, 'b'])
+  Set.product = function() {
+    var lists = factors(slice.call(arguments)),
+    out = new Set(null, function() {
+      var tuple = this;
+      return JSON.stringify(lists.map(function(list, index) {
+        return list.uid.call(tuple[index]) + ':' + encodeObjType(tuple[index]);
+      }));
+    }), tuples = product(lists), step;
+    while (!(step = tuples.next()).done) out.add(step.value);
+    return out;
+  };
+
+  // An iterator which lazily produces the tuples of the Cartesian
+  // product of any number of sets, without building the product.
+  // Set.tuples([1, 2], ['a', 'b']).next(); // => {value: [1, 'a'], done: false}
+  Set.tuples = function() {
+    return product(factors(slice.call(arguments)));
+  };
+
+  // Iterate over the product of lists of items. The last list
+  // varies fastest.
+  function product(lists) {
+    var digits = lists.map(function() {
+      return 0;
+    }), done = lists.some(function(list) {
+      return !list.items.length;
+    });
+    return iterator(function() {
+      var tuple, i;
+      if (done) return { value: undefined, done: true };
+      tuple = lists.map(function(list, index) {
+        return list.items[digits[index]];
+      });
+      for (i = lists.length - 1; i >= 0 && ++digits[i] === lists[i].items.length; i--) {
+        digits[i] = 0;
+      }
+      i < 0 && (done = true);
+      return { value: tuple, done: false };
+    });
+  }
+
+  // Returns true if both sets are equivalent, false otherwise.
+  // Set.equals([1, 1, 2], [1, 2, 2]) => true
+  // Set.equals([1, 1, 2], [1, 2, 3]) => false
+  Set.equals = function(a, b, options) {
+    var flags = compare(Set.process(a, b, null, options));
+    return !flags.a && !flags.b;
+  };
+
+  // Returns true if every item in 'a' is also in 'b'.
+  // Set.isSubsetOf([1, 2], [1, 2, 3]) => true
+  Set.isSubsetOf = function(a, b, options) {
+    return !compare(Set.process(a, b, null, options)).a;
+  };
+
+  // Returns true if every item in 'b' is also in 'a'.
+  // Set.isSupersetOf([1, 2, 3], [1, 2]) => true
+  Set.isSupersetOf = function(a, b, options) {
+    return !compare(Set.process(a, b, null, options)).b;
+  };
+
+  // Returns true if 'a' is a subset of 'b' but not equal to it.
+  // Set.isProperSubsetOf([1, 2], [1, 2]) => false
+  Set.isProperSubsetOf = function(a, b, options) {
+    var flags = compare(Set.process(a, b, null, options));
+    return !flags.a && flags.b;
+  };
+
+  // Returns true if 'a' and 'b' have no items in common.
+  // Set.isDisjointFrom([1, 2], [3, 4]) => true
+  Set.isDisjointFrom = function(a, b, options) {
+    return !compare(Set.process(a, b, null, options)).both;
+  };
+
+  // Classifies the relation of 'a' to 'b' from a single histogram
+  // pass. An empty set is a subset of any other set.
+  // Set.relate([1, 2], [1, 2, 3]) => 'subset'
+  // Set.relate([1, 2], [2, 3]) => 'overlapping'
+  Set.relate = function(a, b, options) {
+    return relation(compare(Set.process(a, b, null, options)));
+  };
+})();
+
+var
+// Shortcuts
+slice = Array.prototype.slice,
+
+// The iteration protocol's method key, where supported.
+symbolIterator = typeof Symbol === 'function' && Symbol.iterator,
+
+// Return the type of built-in objects via toString.
+typeOf = (function() {
+  var reType = /\[object (\w+)\]/; 
+  return function(obj) {
+    return reType.exec(toString.call(obj))[1];
+  };
+})(),
+
+// Encoders for types, registered with Set.registerType.
+encoders = [],
+
+// The global object, for the native collections which Set shadows.
+globalObject = typeof globalThis !== 'undefined' ? globalThis :
+  typeof self !== 'undefined' ? self :
+  typeof window !== 'undefined' ? window :
+  typeof global !== 'undefined' ? global : {},
+
+// Key methods of typed sets, by the key method each one extends.
+// Held weakly, so that a hash function and its typed key method can
+// be collected with the sets which use them.
+typedKeys = typeof WeakMap === 'function' ? new WeakMap() : null,
+
+// The ids of objects keyed by reference, and the last id given out.
+references = typeof WeakMap === 'function' ? new WeakMap() : null,
+referenceCount = 0,
+
+// A list of built-in types. The index of a type is its type code.
+objTypes = ['Null','Undefined','Array','Boolean','Number','String','Object',
+  'Function','Date','Error','RegExp','Arguments','Math','JSON'],
+
+// Encode object type for key generation.
+encodeObjType = (function() {
+
+  var toString = Object.prototype.toString,
 
   // Build dictionary for converting type strings to unique codes.
   codes = Object.create(null);
-  types.forEach(function(type, index) {
+  objTypes.forEach(function(type, index) {
     codes[type] = index;
   });
 
@@ -420,11 +1726,635 @@ encodeObjType = (function() {
 
 })();
 
+// The default key method. Objects are keyed by their toString
+// method and primitives by their value, following SameValueZero:
+// NaN shares a key with NaN, -0 with +0, and 0, '', false, null and
+// undefined are all distinct. Numbers are keyed by their value.
+// Primitives other than strings and numbers are keyed with a '\u0000'
+// prefix. Strings which start with '\u0000', or which read as a
+// number, are escaped, so that primitives of different types never
+// collide.
+function valueKey() {
+  var type = typeof this, c;
+  if (type === 'string') {
+    c = this.charCodeAt(0);
+    if (c === 0) return '\u0000' + this;
+    // Numeric strings always start with a digit, '-' or 'I' (Infinity).
+    return (c >= 48 && c <= 57 || c === 45 || c === 73) && String(+this) === this ?
+      '\u0000"' + this : this;
+  }
+  if (type === 'number') return this === this ? this : '\u0000NaN';
+  if (type === 'symbol') return '\u0000' + typeKey(this, []);
+  if (this !== null && (type === 'object' || type === 'function')) return this;
+  return '\u0000' + String(this);
+}
+
+// A key method which prefixes the key of an item from 'method' with
+// the item's type code, so that items of different types never share
+// a key. Where WeakMap is supported, the same method is returned for
+// the same 'method', so that typed sets with the same key method can
+// be combined directly.
+function typedKey(method) {
+  var key = typedKeys && typedKeys.get(method);
+  if (!key) {
+    key = function() {
+      return encodeObjType(this) + ':' + method.call(this);
+    };
+    typedKeys && typedKeys.set(method, key);
+  }
+  return key;
+}
+
+// A native collection constructor, such as Map or Set.
+function nativeOf(name) {
+  if (typeof globalObject[name] !== 'function') {
+    throw new TypeError('Native ' + name + ' is not supported');
+  }
+  return globalObject[name];
+}
+
+// The hidden id of an object keyed by reference. Ids are held in a
+// WeakMap, so that objects can still be collected, or in a
+// non-enumerable property where WeakMap isn't supported.
+function referenceId(obj) {
+  var id;
+  if (references) {
+    id = references.get(obj);
+    id || references.set(obj, id = ++referenceCount);
+    return id;
+  }
+  if (!Object.prototype.hasOwnProperty.call(obj, '__swiftSetId')) {
+    Object.defineProperty(obj, '__swiftSetId', { value: ++referenceCount });
+  }
+  return obj.__swiftSetId;
+}
+
+// Return the items of an operation input as an array. The input may
+// be an array, a Set, any iterable (including strings, generators and
+// native Sets), a typed array, or an array-like object such as
+// arguments or a NodeList. Native Maps contribute their values.
+function listOf(input) {
+  var list, iter, step;
+  if (Array.isArray(input)) return input;
+  if (input instanceof Set || input instanceof PersistentSet) return input.items();
+  if (input == null) return [];
+  // Copy arguments and typed arrays directly rather than through
+  // their iterators.
+  if (typeOf(input) === 'Arguments' ||
+    typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(input)) {
+    return slice.call(input);
+  }
+  typeOf(input) === 'Map' && (input = input.values());
+  if (symbolIterator && input[symbolIterator]) {
+    list = [];
+    iter = input[symbolIterator]();
+    while (!(step = iter.next()).done) list.push(step.value);
+    return list;
+  }
+  return typeof input === 'string' ? input.split('') : slice.call(input);
+}
+
+// Create an iterator from a next method. The iterator is itself
+// iterable so that it can be used with for...of.
+function iterator(next) {
+  var iter = { next: next };
+  symbolIterator && (iter[symbolIterator] = function() {
+    return this;
+  });
+  return iter;
+}
+
+// Create an iterator over the entries of a set. Keys are collected
+// up front, and items removed during iteration are skipped. When
+// 'repeat' is true, multiset items are repeated by their count.
+function iterate(set, repeat, select) {
+  var keys = set.map(function(item, freq, key) {
+    return key;
+  }), index = 0, count = 0, entry, key;
+  return iterator(function() {
+    while (!count) {
+      if (index >= keys.length) return { value: undefined, done: true };
+      key = keys[index++];
+      entry = set.hist[key];
+      count = entry ? (repeat ? entry.freq : 1) : 0;
+    }
+    count--;
+    return { value: select(entry.item, key), done: false };
+  });
+}
+
+// Summarize a merged histogram with three flags: 'a' when some item
+// is only in (or, for multisets, more often in) set 'a', 'b' likewise
+// for set 'b', and 'both' when some item is in both sets.
+function compare(hist, multiset) {
+  var flags = { a: false, b: false, both: false }, entry, k;
+  for (k in hist) {
+    entry = hist[k];
+    if (multiset) {
+      entry.a > entry.b && (flags.a = true);
+      entry.b > entry.a && (flags.b = true);
+      entry.a && entry.b && (flags.both = true);
+    } else {
+      entry.freq === 1 && (flags.a = true);
+      entry.freq === 2 && (flags.b = true);
+      entry.freq === 3 && (flags.both = true);
+    }
+  }
+  return flags;
+}
+
+// Name the relation of set 'a' to set 'b' described by the flags
+// returned from compare.
+function relation(flags) {
+  if (!flags.a) return flags.b ? 'subset' : 'equal';
+  if (!flags.b) return 'superset';
+  return flags.both ? 'overlapping' : 'disjoint';
+}
+
+// Build a canonical key from the contents of an item. Each part of
+// the key is prefixed with the type code of the value, so values of
+// different types never share a key. Object properties are sorted by
+// name. The stack holds the objects currently being keyed, in order
+// to detect circular structures.
+function structuralKey(obj, stack) {
+  var code = encodeObjType(obj), key;
+  if (obj instanceof Set) return 'Set' + obj.keyify();
+  if (isWrapped(obj)) return 'Wrapper(' + obj + ')';
+  if ((key = typeKey(obj, stack)) !== undefined) return code + key;
+  switch (typeOf(obj)) {
+    case 'Array':
+    case 'Arguments':
+    case 'Object':
+      if (stack.indexOf(obj) !== -1) {
+        throw new TypeError('Cannot create a key for a circular structure');
+      }
+      stack.push(obj);
+      key = typeOf(obj) === 'Object' ?
+        '{' + Object.keys(obj).sort().map(function(name) {
+          return JSON.stringify(name) + ':' + structuralKey(obj[name], stack);
+        }).join(',') + '}' :
+        '[' + slice.call(obj).map(function(item) {
+          return structuralKey(item, stack);
+        }).join(',') + ']';
+      stack.pop();
+      return code + key;
+    case 'String':
+      return code + JSON.stringify(String(obj));
+    case 'Number':
+      // Treat -0 and +0 as the same value.
+      return code + '(' + (obj == 0 ? 0 : obj) + ')';
+    default:
+      return code + '(' + String(obj) + ')';
+  }
+}
+
+// Encode an item as JSON data of the form [type, value], where type
+// is the type code given by encodeObjType. Wrapped items and sets are
+// encoded under the type names 'Wrapper' and 'Set'.
+function encodeItem(item) {
+  var code, out;
+  if (item instanceof Set) return ['Set', item.toJSON()];
+  if (isWrapped(item)) return ['Wrapper', encodeItem(item.item)];
+  code = encodeObjType(item);
+  switch (objTypes[code]) {
+    case 'Null':
+    case 'Undefined':
+      return [code];
+    case 'Boolean':
+    case 'String':
+      return [code, item.valueOf()];
+    case 'Number':
+      // JSON has no representation for NaN or Infinity.
+      return [code, isFinite(item) ? +item : String(item)];
+    case 'Date':
+      return [code, item.getTime()];
+    case 'RegExp':
+      return [code, item.source, String(item).slice(String(item).lastIndexOf('/') + 1)];
+    case 'Array':
+      return [code, item.map(encodeItem)];
+    case 'Object':
+      out = {};
+      // Define properties rather than assign them, so that an own
+      // __proto__ property is kept.
+      Object.keys(item).forEach(function(name) {
+        Object.defineProperty(out, name, {
+          value: encodeItem(item[name]),
+          enumerable: true, writable: true, configurable: true
+        });
+      });
+      return [code, out];
+    default:
+      throw new TypeError('Cannot serialize an item of type ' + typeOf(item));
+  }
+}
+
+// Decode an item encoded by encodeItem.
+function decodeItem(data, options) {
+  var out;
+  if (data[0] === 'Set') {
+    return Set.fromJSON(data[1], undefined, { wrap: options.wrap });
+  }
+  if (data[0] === 'Wrapper') {
+    return (options.wrap || wrapObj())(decodeItem(data[1], options));
+  }
+  switch (objTypes[data[0]]) {
+    case 'Null':
+      return null;
+    case 'Undefined':
+      return undefined;
+    case 'Boolean':
+    case 'String':
+      return data[1];
+    case 'Number':
+      return Number(data[1]);
+    case 'Date':
+      return new Date(data[1]);
+    case 'RegExp':
+      return new RegExp(data[1], data[2]);
+    case 'Array':
+      return data[1].map(function(item) {
+        return decodeItem(item, options);
+      });
+    case 'Object':
+      out = {};
+      Object.keys(data[1]).forEach(function(name) {
+        Object.defineProperty(out, name, {
+          value: decodeItem(data[1][name], options),
+          enumerable: true, writable: true, configurable: true
+        });
+      });
+      return out;
+    default:
+      throw new TypeError('Cannot deserialize an item of type ' + data[0]);
+  }
+}
+
+// Add an item to a set's histogram. Returns true if the set changed,
+// which for a multiset is whenever the item is added.
+function insert(set, item) {
+  // Convert the key to a string once, as a property name would be.
+  var key = String(set.uid.call(item)), entry = set.hist[key];
+  if (!entry) {
+    entry = Object.create(null);
+    // Store -0 as +0, as native Sets do.
+    entry.item = item === 0 ? 0 : item;
+    entry.freq = 1;
+    set.hist[key] = entry;
+    if (set.order) {
+      entry.key = key;
+      entry.serial = set.serial++;
+      set.order.push(entry);
+    }
+    set.positions = null;
+    set.total++;
+    // Journal the key alone, the most common change. Keys are
+    // strings, so they're never mistaken for the functions which
+    // undo other changes, even when the item is a function.
+    set.journal && set.journal.push(key);
+    return true;
+  } else if (set.multiset) {
+    entry.freq++;
+    set.total++;
+    record(set, recount(set, entry, -1));
+    return true;
+  }
+  return false;
+}
+
+// Remove an item from a set's histogram, decrementing the count of
+// a multiset item. Returns the stored item, or erase.none if the
+// item wasn't in the set.
+function erase(set, item) {
+  var key = set.uid.call(item), entry = set.hist[key];
+  if (!entry) return erase.none;
+  set.total--;
+  if (set.multiset && entry.freq > 1) {
+    entry.freq--;
+    record(set, recount(set, entry, 1));
+  } else {
+    unlink(set, key);
+    record(set, function restore() {
+      link(set, key, entry);
+      set.total++;
+      return function() {
+        unlink(set, key);
+        set.total--;
+        return restore;
+      };
+    });
+  }
+  return entry.item;
+}
+erase.none = {};
+
+// Replace the contents of a set with the given items. Only the items
+// which were added or removed are changed, each journaled on its own,
+// so that a history step doesn't hold a copy of the set. When
+// 'reorder' is true, an ordered set takes the order of the items, so
+// its items are all removed and added again. Returns the added and
+// removed items.
+function replace(set, items, reorder) {
+  var next = new Set(null, set.uid, { multiset: set.multiset, ordered: !!set.order }), d;
+  items && load(next, listOf(items));
+  d = delta(next, set.hist);
+  if (reorder && set.order) {
+    set.items().forEach(function(item) { erase(set, item); });
+    next.items().forEach(function(item) { insert(set, item); });
+  } else {
+    d.removed.forEach(function(item) { erase(set, item); });
+    d.added.forEach(function(item) { insert(set, item); });
+  }
+  return d;
+}
+
+// Insert an array of items into a set.
+function load(set, items) {
+  for (var i = 0; i < items.length; i++) insert(set, items[i]);
+}
+
+// Record a change to a set, if the set is in a transaction. The
+// journal holds functions which undo a change and return a function
+// which redoes it, and so on, or the key string of an item which was
+// newly inserted, which is the most common change.
+function record(set, change) {
+  set.journal && set.journal.push(change);
+}
+
+// A change which adds 'n' to the count of a histogram entry.
+function recount(set, entry, n) {
+  return function() {
+    entry.freq += n;
+    set.total += n;
+    return recount(set, entry, -n);
+  };
+}
+
+// Revert a journaled change, returning the change which reverts it
+// in turn.
+function revert(set, change) {
+  var entry;
+  if (typeof change === 'function') return change();
+  entry = set.hist[change];
+  unlink(set, change);
+  set.total--;
+  return function() {
+    link(set, change, entry);
+    set.total++;
+    return change;
+  };
+}
+
+// Put a removed entry back in a set's histogram. An entry of an
+// ordered set goes back to its place in the order, which it's still
+// in unless the order was compacted since it was removed.
+function link(set, key, entry) {
+  var order = set.order, index;
+  set.hist[key] = entry;
+  set.positions = null;
+  if (order) {
+    index = seek(order, entry.serial);
+    order[index] === entry ? set.stale-- : order.splice(index, 0, entry);
+  }
+}
+
+// Remove an entry from a set's histogram. Entries of an ordered set
+// are left in the order, which is compacted once they make up half
+// of it.
+function unlink(set, key) {
+  delete set.hist[key];
+  set.positions = null;
+  set.order && ++set.stale * 2 > set.order.length && compact(set);
+}
+
+// Drop removed entries from the order of an ordered set.
+function compact(set) {
+  if (!set.stale) return;
+  set.order = set.order.filter(function(entry) {
+    return set.hist[entry.key] === entry;
+  });
+  set.stale = 0;
+}
+
+// The position in an order of the entry with the given serial
+// number, or where it would be inserted.
+function seek(order, serial) {
+  var low = 0, high = order.length, mid;
+  while (low < high) {
+    mid = (low + high) >>> 1;
+    order[mid].serial < serial ? low = mid + 1 : high = mid;
+  }
+  return low;
+}
+
+// The keys of an unordered set, in the order each() visits them,
+// along with the position of each key.
+function positionsOf(set) {
+  var keys, index;
+  if (!set.positions) {
+    keys = Object.keys(set.hist);
+    index = Object.create(null);
+    keys.forEach(function(key, i) {
+      index[key] = i;
+    });
+    set.positions = { keys: keys, index: index };
+  }
+  return set.positions;
+}
+
+// Revert changes, most recent first, down to the given length.
+// Returns the inverse changes, in the order they must be reverted
+// to restore the changes.
+function unwind(set, changes, length) {
+  var inverse = [];
+  while (changes.length > length) inverse.push(revert(set, changes.pop()));
+  return inverse;
+}
+
+// Undo the changes recorded since the start of the innermost
+// transaction and end it.
+function undo(set) {
+  unwind(set, set.journal, set.marks.pop());
+  set.marks.length || (set.journal = set.marks = null);
+}
+
+// Revert the latest step of one of a set's histories, moving its
+// inverse to the other history.
+function travel(set, from, to) {
+  var prev;
+  if (set.marks) throw new Error('Cannot undo or redo during a transaction');
+  if (!from || !from.length) return set;
+  prev = set.listeners && snapshot(set.hist);
+  to.push(unwind(set, from.pop(), 0));
+  prev && changed(set, prev, false);
+  return set;
+}
+
+// Run an action on a set as a transaction which is silently undone
+// if the action throws. Used by methods which emit their events
+// only after all of their changes are made.
+function atomic(set, action) {
+  set.begin();
+  try {
+    action.call(set);
+  } catch (e) {
+    undo(set);
+    throw e;
+  }
+  set.commit();
+}
+
+// Run an operation directly on the histograms of two sets which
+// share a uid method, without building their items. The output is
+// usually in the same order as Set.process: the items of 'a', then
+// the items only in 'b'. An intersection iterates the smaller set
+// instead, unless 'a' is ordered, so when 'b' is smaller its items
+// come in the order of 'b'.
+function direct(a, b, evaluator, bagEvaluator) {
+  var out = [], ahist = a.hist, bhist = b.hist, n;
+  if (a.multiset) {
+    a.each(function(item, freq, key) {
+      for (n = bagEvaluator(freq, bhist[key] ? bhist[key].freq : 0); n > 0; n--) {
+        out.push(item);
+      }
+    });
+    b.each(function(item, freq, key) {
+      if (!ahist[key]) for (n = bagEvaluator(0, freq); n > 0; n--) out.push(item);
+    });
+    return out;
+  }
+  if (!evaluator(1) && !evaluator(2) && !a.order && b.total < a.total) {
+    b.each(function(item, freq, key) {
+      ahist[key] && evaluator(3) && out.push(ahist[key].item);
+    });
+    return out;
+  }
+  a.each(function(item, freq, key) {
+    evaluator(bhist[key] ? 3 : 1) && out.push(item);
+  });
+  evaluator(2) && b.each(function(item, freq, key) {
+    ahist[key] || out.push(item);
+  });
+  return out;
+}
+
+// The compare flags of a set and an operation input. Sets which
+// share a uid method are compared by counting the items they have
+// in common, iterating the smaller set.
+function flagsOf(set, b) {
+  var small, large, common = 0, key;
+  if (!(b instanceof Set && b.uid === set.uid) || set.multiset || b.multiset) {
+    return compare(set.process(b), set.multiset);
+  }
+  small = set.total < b.total ? set : b;
+  large = small === set ? b : set;
+  for (key in small.hist) large.hist[key] && common++;
+  return { a: set.total > common, b: b.total > common, both: common > 0 };
+}
+
+// Returns true if a set holds exactly the given items, with the
+// same counts.
+function unchanged(set, items) {
+  var counts = Object.create(null), size = 0, key;
+  items.forEach(function(item) {
+    key = set.uid.call(item);
+    counts[key] ? counts[key]++ : (counts[key] = 1, size++);
+  });
+  for (key in set.hist) {
+    if (counts[key] !== set.hist[key].freq) return false;
+    size--;
+  }
+  return size === 0;
+}
+
+// A copy of a histogram's entries, for comparing with the histogram
+// after it's modified in place.
+function snapshot(hist) {
+  var copy = Object.create(null);
+  for (var key in hist) {
+    copy[key] = { item: hist[key].item, freq: hist[key].freq };
+  }
+  return copy;
+}
+
+// Compare the histogram of a set with a previous histogram of the
+// same set, returning the items which were added and removed. For
+// multisets, items are repeated by the change in their counts.
+function delta(set, prev) {
+  var added = [], removed = [], hist = set.hist, key, n;
+  set.each(function(item, freq, key) {
+    for (n = freq - (prev[key] ? prev[key].freq : 0); n > 0; n--) added.push(item);
+  });
+  for (key in prev) {
+    for (n = prev[key].freq - (hist[key] ? hist[key].freq : 0); n > 0; n--) {
+      removed.push(prev[key].item);
+    }
+  }
+  return { added: added, removed: removed };
+}
+
+// Emit the events for a change in a set's histogram since the given
+// previous histogram.
+function changed(set, prev, detail) {
+  publish(set, delta(set, prev), detail);
+}
+
+// Emit the events for the added and removed items of a change, if
+// there are any. When 'detail' is true, add and remove events precede
+// the change event.
+function publish(set, d, detail) {
+  if (detail) {
+    d.added.length && emit(set, 'add', d.added, []);
+    d.removed.length && emit(set, 'remove', [], d.removed);
+  }
+  (d.added.length || d.removed.length) && emit(set, 'change', d.added, d.removed);
+}
+
+// Emit an event of the given type followed by a change event.
+function notify(set, type, added, removed) {
+  emit(set, type, added, removed);
+  emit(set, 'change', added, removed);
+}
+
+// Call the handlers for an event on a set.
+function emit(set, type, added, removed) {
+  var handlers = set.listeners && set.listeners[type], event;
+  if (!handlers || !handlers.length) return;
+  event = { type: type, target: set, added: added, removed: removed };
+  handlers.slice().forEach(function(handler) {
+    handler.call(set, event);
+  });
+}
+
+// Convert a histogram from Set.process (or Set.processBag, for
+// multisets) into a patch of added and removed items.
+function patchOf(hist, multiset) {
+  var added = [], removed = [], entry, n;
+  for (var key in hist) {
+    entry = hist[key];
+    if (multiset) {
+      for (n = entry.b - entry.a; n > 0; n--) added.push(entry.item);
+      for (n = entry.a - entry.b; n > 0; n--) removed.push(entry.item);
+    } else if (entry.freq !== 3) {
+      (entry.freq === 2 ? added : removed).push(entry.item);
+    }
+  }
+  return { added: added, removed: removed };
+}
+
+// Adapt a set evaluator for use with multisets. Items that pass
+// the evaluator keep the larger of their two counts.
+function bagify(evaluator) {
+  return evaluator && function(m, n) {
+    return evaluator((m > 0 ? 1 : 0) + (n > 0 ? 2 : 0)) ? Math.max(m, n) : 0;
+  };
+}
+
 // Wrap a built-in type and give it a unique key generator.
 function Wrapper(obj, toStr) {
   this.item = obj;
   this.toString = toStr ? toStr : function() {
-    return '(' + obj + ':' + encodeObjType(obj) + ')';
+    var key = typeKey(obj, []);
+    return '(' + (key === undefined ? obj : key) + ':' + encodeObjType(obj) + ')';
   };
 }
 
@@ -441,7 +2371,160 @@ function isWrapped(obj) {
   return obj instanceof Wrapper;
 }
 
-// Export
+// The key of a value from the most recently registered encoder for
+// its type, as 'Name(key)', or undefined if no encoder matches.
+// Nested values are keyed structurally, so a value can't contain
+// itself.
+function typeKey(obj, stack) {
+  var encoder, key, i;
+  for (i = encoders.length - 1; i >= 0; i--) {
+    if (encoders[i].test(obj)) {
+      encoder = encoders[i];
+      break;
+    }
+  }
+  if (!encoder) return undefined;
+  if (stack.indexOf(obj) !== -1) {
+    throw new TypeError('Cannot create a key for a circular structure');
+  }
+  stack.push(obj);
+  key = encoder.key(obj, function(value) {
+    return structuralKey(value, stack);
+  });
+  stack.pop();
+  return encoder.name + '(' + key + ')';
+}
+
+// Built-in encoders.
+(function() {
+  var symbols = symbolIds(), count = 0;
+
+  // The ids of symbols. They're held weakly where WeakMap accepts
+  // symbols as keys, so that symbols used as items can be collected.
+  // Otherwise a Map holds every symbol which has been keyed.
+  function symbolIds() {
+    if (typeof WeakMap === 'function' && typeof Symbol === 'function') {
+      try {
+        return new WeakMap().set(Symbol(), 0);
+      } catch (e) {}
+    }
+    return typeof Map === 'function' ? new Map() : null;
+  }
+
+  // Keys of a collection's values, sorted so that their order
+  // doesn't matter.
+  function sorted(values, keyOf) {
+    var keys = [];
+    values.forEach(function(value) {
+      keys.push(keyOf(value));
+    });
+    return keys.sort().join(',');
+  }
+
+  // Symbols are keyed by identity, except for registered symbols,
+  // which are keyed by their registry key.
+  Set.registerType('Symbol', {
+    test: function(obj) { return typeof obj === 'symbol'; },
+    key: function(sym) {
+      var key = Symbol.keyFor(sym);
+      if (key !== undefined) return 'for:' + key;
+      symbols.has(sym) || symbols.set(sym, ++count);
+      return String(symbols.get(sym));
+    }
+  });
+
+  Set.registerType('BigInt', {
+    test: function(obj) { return typeof obj === 'bigint'; },
+    key: function(n) { return String(n); }
+  });
+
+  Set.registerType('Date', {
+    test: function(obj) { return typeOf(obj) === 'Date'; },
+    key: function(date) { return String(date.getTime()); }
+  });
+
+  Set.registerType('RegExp', {
+    test: function(obj) { return typeOf(obj) === 'RegExp'; },
+    key: function(re) { return String(re); }
+  });
+
+  // Typed arrays are keyed by their type and elements.
+  Set.registerType('TypedArray', {
+    test: function(obj) {
+      return typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(obj) &&
+        typeOf(obj) !== 'DataView';
+    },
+    key: function(array) { return typeOf(array) + '[' + slice.call(array).join(',') + ']'; }
+  });
+
+  // Maps and native Sets are keyed by their contents, in any order.
+  Set.registerType('Map', {
+    test: function(obj) { return typeOf(obj) === 'Map'; },
+    key: function(map, keyOf) {
+      var entries = [];
+      map.forEach(function(value, key) {
+        entries.push([key, value]);
+      });
+      return sorted(entries, function(entry) {
+        return keyOf(entry[0]) + '=>' + keyOf(entry[1]);
+      });
+    }
+  });
+
+  Set.registerType('NativeSet', {
+    test: function(obj) { return typeOf(obj) === 'Set' && !(obj instanceof Set); },
+    key: function(set, keyOf) { return sorted(set, keyOf); }
+  });
+
+  // Instances of classes are keyed by their toString method if they
+  // have one, otherwise by their class name and their own properties.
+  Set.registerType('Instance', {
+    test: function(obj) {
+      var proto = obj !== null && typeof obj === 'object' && typeOf(obj) === 'Object' &&
+        Object.getPrototypeOf(obj);
+      return !!proto && proto !== Object.prototype && !(obj instanceof Set) &&
+        !(obj instanceof PersistentSet) && !isWrapped(obj);
+    },
+    key: function(obj, keyOf) {
+      var ctor = Object.getPrototypeOf(obj).constructor;
+      if (obj.toString !== Object.prototype.toString) return String(obj);
+      return (ctor && ctor.name || '') + '{' + Object.keys(obj).sort().map(function(name) {
+        return JSON.stringify(name) + ':' + keyOf(obj[name]);
+      }).join(',') + '}';
+    }
+  });
+})();
+
+// Make sets and queries iterable where the iteration protocol
+// is available.
+symbolIterator && (Set.prototype[symbolIterator] = Set.prototype.values);
+symbolIterator && (PersistentSet.prototype[symbolIterator] = function() {
+  return this.items()[symbolIterator]();
+});
+symbolIterator && (Query.prototype[symbolIterator] = function() {
+  var items = this.toArray(), index = 0;
+  return iterator(function() {
+    return index < items.length ?
+      { value: items[index++], done: false } :
+      { value: undefined, done: true };
+  });
+});
+
+// Export the Set class along with its static operations and helpers.
 swiftSet.Set = Set;
-})(window.swiftSet = window.swiftSet || {});
+swiftSet.PersistentSet = PersistentSet;
+['process', 'processAll', 'processBag', 'union', 'intersection',
+  'difference', 'complement', 'sum', 'equals', 'isSubsetOf', 'isSupersetOf',
+  'isProperSubsetOf', 'isDisjointFrom', 'relate', 'unionAll', 'intersectionAll',
+  'product', 'tuples', 'fromJSON', 'fromNative', 'diff', 'invertPatch', 'defineOperation',
+  'pushUid', 'popUid', 'withUid', 'wrapObj', 'isWrapped', 'structural',
+  'referential', 'registerType'].forEach(function(name) {
+  swiftSet[name] = Set[name];
+});
+
+// Export as a CommonJS module where available, otherwise fall back to
+// the swiftSet global (window in browsers, self in Web Workers).
+})(typeof module === 'object' && module.exports ? module.exports : (function(root) {
+  return root.swiftSet = root.swiftSet || {};
+})(typeof self !== 'undefined' ? self : typeof window !== 'undefined' ? window : this));
 
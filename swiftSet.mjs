@@ -0,0 +1,52 @@
+// ---------------------------------------------------------------
+// swiftSet.mjs - ES module entry point for swiftSet.js.
+//
+// swiftSet.js is imported as a CommonJS module, so this entry point
+// is for Node and bundlers only. Browsers and Workers can't load it
+// as a native module; use a classic script and the swiftSet global.
+//
+// The named exports are copied when this module is loaded. Operations
+// defined later with Set.defineOperation are reached through Set or
+// the default export only.
+//
+// import { Set, PersistentSet } from 'swiftset';
+// import swiftSet from 'swiftset';
+// ---------------------------------------------------------------
+import swiftSet from './swiftSet.js';
+
+export default swiftSet;
+
+export var
+  Set = swiftSet.Set,
+  PersistentSet = swiftSet.PersistentSet,
+  process = swiftSet.process,
+  processAll = swiftSet.processAll,
+  processBag = swiftSet.processBag,
+  union = swiftSet.union,
+  intersection = swiftSet.intersection,
+  difference = swiftSet.difference,
+  complement = swiftSet.complement,
+  sum = swiftSet.sum,
+  equals = swiftSet.equals,
+  isSubsetOf = swiftSet.isSubsetOf,
+  isSupersetOf = swiftSet.isSupersetOf,
+  isProperSubsetOf = swiftSet.isProperSubsetOf,
+  isDisjointFrom = swiftSet.isDisjointFrom,
+  relate = swiftSet.relate,
+  unionAll = swiftSet.unionAll,
+  intersectionAll = swiftSet.intersectionAll,
+  product = swiftSet.product,
+  tuples = swiftSet.tuples,
+  fromJSON = swiftSet.fromJSON,
+  fromNative = swiftSet.fromNative,
+  diff = swiftSet.diff,
+  invertPatch = swiftSet.invertPatch,
+  defineOperation = swiftSet.defineOperation,
+  pushUid = swiftSet.pushUid,
+  popUid = swiftSet.popUid,
+  withUid = swiftSet.withUid,
+  wrapObj = swiftSet.wrapObj,
+  isWrapped = swiftSet.isWrapped,
+  structural = swiftSet.structural,
+  referential = swiftSet.referential,
+  registerType = swiftSet.registerType;